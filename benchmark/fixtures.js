@@ -0,0 +1,67 @@
+// Markdown documents of a given size, each built by repeating a sample so
+// that the time to parse them can be compared across sizes.
+
+import fs from "fs";
+import path from "path";
+
+const samples = {
+  document: i => `## Section ${i}
+
+Some *text* with a [link](http://example.com/${i}), \`code\` and **bold**.
+Another line with _emphasis_ and a #hashtag.
+
+* item one
+* item two
+  continued
+
+> quoted text
+> more quoted text
+
+\`\`\`js
+const x = ${i};
+\`\`\`
+
+| a | b |
+| --- | --- |
+| ${i} | x |
+
+`,
+  "nested lists": () => "* item\n  * nested item\n    1. deep item\n",
+  "block quotes": () => "> > quoted line of text\n",
+  "hard breaks": () => "a line of poetry  \n",
+  "long paragraph": () => "words *in* a **very** long `line` [with](links) ",
+  "unclosed delimiters": () => "a [b *c _d `e ~~f ++g <h ",
+  "unclosed fences": () => "```\ntext\n",
+  // crafted to backtrack in grammars that can match the same text many ways
+  "unclosed link": i => (i ? "    " : "[a]("),
+  "nested emphasis": i => (i ? "__a" : "_a____ "),
+  // lines that could each start a link definition within a list or quote
+  "list of link labels": i => (i ? "\n[x" : "* a"),
+  "quote of link labels": i => (i ? "\n[x" : "> a")
+};
+
+export const names = Object.keys(samples);
+
+// adds the markdown file at `file` as a sample, returning its name
+export function addFile(file) {
+  const name = path.basename(file);
+  const text = fs.readFileSync(file, "utf8");
+
+  samples[name] = () => `${text.trim()}\n\n`;
+  names.push(name);
+  return name;
+}
+
+export default function fixture(name, size) {
+  const sample = samples[name];
+  const parts = [];
+  let length = 0;
+
+  for (let i = 0; length < size; i++) {
+    const part = sample(i);
+    parts.push(part);
+    length += part.length;
+  }
+
+  return parts.join("");
+}
@@ -0,0 +1,58 @@
+// Parse fixtures of doubling sizes and report the time taken, failing when
+// the time grows much faster than the size of the input.
+//
+// Usage: yarn benchmark [size in KB of the smallest fixture, 128 by default]
+//   [markdown files to repeat into fixtures of their own, README.md by default]
+
+import path from "path";
+import parser from "../src/parser";
+import fixture, { addFile, names } from "./fixtures";
+
+const SIZES = [1, 2, 4, 8];
+
+// the largest fixture may take this many times longer per KB than the
+// smallest before the parse time is considered to grow faster than linearly
+const TOLERANCE = 3;
+
+function measure(markdown) {
+  let best = Infinity;
+
+  for (let run = 0; run < 3; run++) {
+    const start = process.hrtime();
+    parser.parse(markdown, {});
+    const [seconds, nanoseconds] = process.hrtime(start);
+    best = Math.min(best, seconds * 1e3 + nanoseconds / 1e6);
+  }
+
+  return best;
+}
+
+const base = parseInt(process.argv[2], 10) || 128;
+const files = process.argv.slice(3);
+let failed = false;
+
+if (!files.length) files.push(path.join(__dirname, "..", "README.md"));
+files.forEach(addFile);
+
+names.forEach(name => {
+  const results = SIZES.map(factor => {
+    const markdown = fixture(name, base * factor * 1024);
+    return { kb: markdown.length / 1024, ms: measure(markdown) };
+  });
+  const perKb = results.map(({ kb, ms }) => ms / kb);
+  const growth = perKb[perKb.length - 1] / perKb[0];
+
+  console.log(`${name}`);
+  results.forEach(({ kb, ms }, index) => {
+    console.log(
+      `  ${kb.toFixed(0)}KB: ${ms.toFixed(1)}ms (${perKb[index].toFixed(3)}ms/KB)`
+    );
+  });
+
+  if (growth > TOLERANCE) {
+    failed = true;
+    console.log(`  time per KB grew ${growth.toFixed(1)}x, expected linear`);
+  }
+});
+
+process.exit(failed ? 1 : 0);
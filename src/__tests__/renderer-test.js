@@ -1,4 +1,6 @@
 import MarkdownRenderer from "../renderer";
+import { Value } from "slate";
+import compareDocuments from "../verify";
 const Markdown = new MarkdownRenderer();
 
 // By parsing, rendering and reparsing we can test both sides of the serializer
@@ -650,3 +652,1411 @@ another paragraph
 `;
   expect(getVersion2(text)).toMatchSnapshot();
 });
+
+// serialization context
+
+test("passes the serialization context to rules", () => {
+  const contexts = [];
+  const Custom = new MarkdownRenderer({
+    rules: [
+      {
+        serialize(obj, children, document, context) {
+          if (obj.object === "block") contexts.push(context);
+        }
+      }
+    ]
+  });
+  const parsed = Custom.deserialize("one\n\ntwo");
+  Custom.serialize(parsed, { version: 2 });
+
+  expect(contexts.length).toBeGreaterThan(0);
+  expect(contexts[0].version).toEqual(2);
+  expect(contexts[0].document).toBe(parsed.document);
+  expect(contexts[contexts.length - 1].previousBlock.obj.type).toEqual(
+    "paragraph"
+  );
+});
+
+test("allows rules to serialize recursively", () => {
+  const table = `
+| one | two |
+|:----|----:|
+| a   | b   |
+`;
+  const inner = Markdown.deserialize("| x |\n|---|\n| y |");
+  const Nested = new MarkdownRenderer({
+    rules: [
+      {
+        serialize(obj, children, document) {
+          if (document === inner.document) return;
+          if (obj.object === "block" && obj.type === "table-cell") {
+            // render an unrelated document in the middle of the table
+            Nested.serialize(inner);
+          }
+        }
+      }
+    ]
+  });
+
+  const parsed = Nested.deserialize(table);
+  expect(Nested.serialize(parsed)).toEqual(Markdown.serialize(parsed));
+});
+
+// deserialize rules
+
+const callout = {
+  deserialize(obj, parser) {
+    if (obj.object || obj.type !== "paragraph") return;
+    if (!obj.text.startsWith("!!! ")) return;
+
+    return {
+      object: "block",
+      type: "callout",
+      nodes: [parser.renderer.paragraph(parser.inline.parse(obj.text.slice(4)))]
+    };
+  },
+  serialize(obj, children) {
+    if (obj.object === "block" && obj.type === "callout") {
+      return `!!! ${children}`;
+    }
+  }
+};
+
+test("rules can deserialize lexer tokens", () => {
+  const Custom = new MarkdownRenderer({ rules: [callout] });
+  const text = "!!! this is **important**";
+  const parsed = Custom.deserialize(text);
+
+  expect(parsed.document.nodes.first().type).toEqual("callout");
+  expect(parsed.document.nodes).toMatchSnapshot();
+  expect(Custom.serialize(parsed)).toEqual(text);
+});
+
+test("rules can replace rendered nodes", () => {
+  const Custom = new MarkdownRenderer({
+    rules: [
+      {
+        deserialize(obj) {
+          if (obj.object === "inline" && obj.type === "link") {
+            if (obj.data.href.startsWith("mention:")) {
+              return { ...obj, type: "mention" };
+            }
+          }
+        }
+      }
+    ]
+  });
+  const parsed = Custom.deserialize(
+    "ping [@tom](mention:tom) and [docs](http://example.com)"
+  );
+  const inlines = parsed.document.getInlines();
+
+  expect(inlines.map(node => node.type).toArray()).toEqual(["mention", "link"]);
+});
+
+// tokenizer extensions
+
+const container = {
+  name: "container",
+  level: "block",
+  tokenizer(src, lexer) {
+    const cap = /^::: *(\w+)\n([\s\S]*?)\n:::(?:\n|$)/.exec(src);
+    if (!cap) return;
+
+    return {
+      raw: cap[0],
+      kind: cap[1],
+      tokens: lexer.blockTokens(cap[2], true)
+    };
+  },
+  renderer(token, parser) {
+    return {
+      object: "block",
+      type: "container",
+      data: { kind: token.kind },
+      nodes: parser.parseTokens(token.tokens)
+    };
+  },
+  serialize(obj, children) {
+    if (obj.object === "block" && obj.type === "container") {
+      return `::: ${obj.data.get("kind")}\n${children}\n:::`;
+    }
+  }
+};
+
+const mention = {
+  name: "mention",
+  level: "inline",
+  start(src) {
+    return src.indexOf("@");
+  },
+  tokenizer(src) {
+    const cap = /^@(\w+)/.exec(src);
+    if (cap) return { raw: cap[0], username: cap[1] };
+  },
+  renderer(token) {
+    return {
+      object: "inline",
+      type: "mention",
+      data: { username: token.username },
+      nodes: this.groupTextInLeaves([{ text: token.raw }])
+    };
+  },
+  serialize(obj) {
+    if (obj.object === "inline" && obj.type === "mention") {
+      return `@${obj.data.get("username")}`;
+    }
+  }
+};
+
+test("parses block tokenizer extensions", () => {
+  const Custom = new MarkdownRenderer({
+    extensions: [container],
+    rules: [container]
+  });
+  const text = `::: warning
+# Careful
+this is **inside**
+:::`;
+  const parsed = Custom.deserialize(text);
+  const node = parsed.document.nodes.first();
+
+  expect(node.type).toEqual("container");
+  expect(node.data.get("kind")).toEqual("warning");
+  expect(node.nodes.map(child => child.type).toArray()).toEqual([
+    "heading1",
+    "paragraph"
+  ]);
+  expect(
+    Custom.serialize(Custom.deserialize(Custom.serialize(parsed)))
+  ).toEqual(Custom.serialize(parsed));
+});
+
+test("parses inline tokenizer extensions", () => {
+  const Custom = new MarkdownRenderer({
+    extensions: [mention],
+    rules: [mention]
+  });
+  const text = "thanks @tom for the **review**";
+  const parsed = Custom.deserialize(text);
+  const inline = parsed.document.getInlines().first();
+
+  expect(inline.type).toEqual("mention");
+  expect(inline.data.get("username")).toEqual("tom");
+  expect(Custom.serialize(parsed)).toEqual(text);
+});
+
+test("orders tokenizer extensions relative to built-in tokenizers", () => {
+  const shout = {
+    name: "shout",
+    level: "block",
+    tokenizer(src) {
+      const cap = /^# ([A-Z ]+)(?:\n|$)/.exec(src);
+      if (cap) return { raw: cap[0], text: cap[1] };
+    },
+    renderer(token, parser) {
+      return {
+        object: "block",
+        type: "shout",
+        nodes: this.groupTextInLeaves(parser.inline.parse(token.text))
+      };
+    }
+  };
+
+  const before = new MarkdownRenderer({
+    extensions: [{ ...shout, before: "heading" }]
+  });
+  const after = new MarkdownRenderer({
+    extensions: [{ ...shout, after: "heading" }]
+  });
+
+  expect(before.deserialize("# LOUD").document.nodes.first().type).toEqual(
+    "shout"
+  );
+  expect(after.deserialize("# LOUD").document.nodes.first().type).toEqual(
+    "heading1"
+  );
+  expect(() =>
+    new MarkdownRenderer({
+      extensions: [{ ...shout, before: "missing" }]
+    }).deserialize("# LOUD")
+  ).toThrow(/Unknown tokenizer/);
+});
+
+// footnotes
+
+test("parses footnotes", () => {
+  const text = `
+Here is a note[^1] and a named one[^named].
+
+[^1]: The **first** note.
+    Continued here.
+[^named]: Named.
+`;
+  expect(getNodes(text)).toMatchSnapshot();
+});
+
+test("renumbers footnotes in order of appearance", () => {
+  const text = `
+First[^4] then[^2] and[^4] again.
+
+[^2]: Two.
+[^4]: Four.
+[^named]: Named.
+`;
+  const parsed = Markdown.deserialize(text);
+  expect(Markdown.serialize(parsed))
+    .toEqual(`First[^1] then[^2] and[^1] again\\.
+
+[^2]: Two\\.
+[^1]: Four\\.
+[^named]: Named\\.`);
+});
+
+test("collects footnote definitions at the end of the document", () => {
+  const text = `
+[^1]: Defined first.
+
+Reference[^1]
+`;
+  const nodes = Markdown.deserialize(text, { collectFootnotes: true }).document
+    .nodes;
+
+  expect(nodes.first().type).not.toEqual("footnote");
+  expect(nodes.last().type).toEqual("footnote");
+});
+
+// reference links
+
+test("parses reference links with their label", () => {
+  const text = `
+[full][Docs], [docs][] and [docs]
+
+[docs]: http://example.com "Title"
+`;
+  const parsed = Markdown.deserialize(text);
+  const links = parsed.document.getInlines();
+
+  expect(links.map(link => link.data.get("reference")).toArray()).toEqual([
+    "full",
+    "collapsed",
+    "shortcut"
+  ]);
+  expect(links.first().data.get("label")).toEqual("Docs");
+  expect(parsed.document.data.get("linkDefinitions")).toEqual([
+    { label: "docs", href: "http://example.com", title: "Title" }
+  ]);
+});
+
+test("serializes reference links with definitions", () => {
+  const text = `See [the docs][Docs], [docs][] and [docs] or [inline](http://example.com/inline).
+
+[docs]: http://example.com/docs "The Docs"
+[unused]: http://example.com/unused`;
+  const parsed = Markdown.deserialize(text);
+
+  expect(Markdown.serialize(parsed, { referenceLinks: true })).toEqual(text);
+  expect(Markdown.serialize(parsed)).toEqual(
+    "See [the docs](http://example.com/docs), [docs](http://example.com/docs) and [docs](http://example.com/docs) or [inline](http://example.com/inline).\n"
+  );
+});
+
+// autolinks
+
+test("parses autolinks", () => {
+  const text = `<https://example.com/path?query=1> and <hello@example.com>`;
+  expect(getNodes(text)).toMatchSnapshot();
+});
+
+test("parses bare urls and email addresses", () => {
+  const text = `see https://example.com/foo_(bar). or www.example.com, mail hello@example.com`;
+  expect(getNodes(text)).toMatchSnapshot();
+});
+
+test("does not parse urls inside of link text", () => {
+  const text = `[https://example.com](https://example.org)`;
+  const link = Markdown.deserialize(text).document.getInlines();
+
+  expect(link.size).toEqual(1);
+  expect(link.first().data.get("href")).toEqual("https://example.org");
+});
+
+test("serializes links matching their href as autolinks", () => {
+  const text = `see https://example.com/foo_(bar), <hello@example.com> or [text](https://example.com)`;
+  const parsed = Markdown.deserialize(text);
+
+  expect(Markdown.serialize(parsed)).toEqual(
+    `see <https://example.com/foo_(bar)>, <hello@example.com> or [text](https://example.com)`
+  );
+});
+
+// html
+
+const html = `Some <span class="note">inline html</span> and <!-- a comment -->
+
+<details>
+<summary>More</summary>
+</details>`;
+
+test("treats html as text by default", () => {
+  const parsed = Markdown.deserialize(html);
+  expect(parsed.document.getInlines().size).toEqual(0);
+  expect(parsed.document.nodes.map(node => node.type).toArray()).not.toContain(
+    "html"
+  );
+});
+
+test("preserves html verbatim", () => {
+  const parsed = Markdown.deserialize(html, { html: "preserve" });
+  expect(parsed.document.nodes).toMatchSnapshot();
+  expect(Markdown.serialize(parsed)).toEqual(html);
+});
+
+test("strips html", () => {
+  const parsed = Markdown.deserialize(html, { html: "strip" });
+  expect(Markdown.serialize(parsed).trim()).toEqual("Some inline html and");
+});
+
+test("maps known html tags onto marks and nodes", () => {
+  const text = `<u>under</u> H<sub>2</sub>O x<sup>2</sup> <mark>new</mark><br><img src="logo.png" alt="Logo"> <span>kept</span>`;
+  const parsed = Markdown.deserialize(text, { html: "map" });
+  expect(parsed.document.nodes).toMatchSnapshot();
+  expect(Markdown.serialize(parsed)).toEqual(
+    "__under__ H<sub>2</sub>O x<sup>2</sup> <mark>new</mark>  \n![Logo](logo.png) <span>kept</span>"
+  );
+});
+
+test("round trips subscript, superscript and highlighted marks", () => {
+  const text = "H<sub>2</sub>O x<sup>2</sup> <mark>new</mark>";
+  const { markdown, differences } = Markdown.roundTrip(text, { html: "map" });
+
+  expect(markdown).toEqual(text);
+  expect(differences).toEqual([]);
+});
+
+// math
+
+test("parses inline and display math", () => {
+  const text = `
+Euler $e^{i\\pi} + 1 = 0$ costs $5 and $10
+
+$$
+\\int_0^1 x_i^2 \\, dx
+$$
+`;
+  const parsed = Markdown.deserialize(text, { math: true });
+  expect(parsed.document.nodes).toMatchSnapshot();
+});
+
+test("does not parse math unless enabled", () => {
+  const parsed = Markdown.deserialize("$x_1$", { math: false });
+  expect(parsed.document.getInlines().size).toEqual(0);
+});
+
+test("serializes math without escaping", () => {
+  const text = `Euler $e^{i\\pi} + 1 = 0$ costs \\$5, not \\$x\\$
+
+$$
+\\int_0^1 x_i^2 \\, dx
+$$`;
+  const parsed = Markdown.deserialize(text, { math: true });
+  expect(Markdown.serialize(parsed, { math: true })).toEqual(text);
+});
+
+// front matter
+
+const frontMatter = `---
+title: 'Hello: World'
+date: 2020-05-24
+tags:
+  - one
+  - two
+---
+
+# Heading
+`;
+
+test("parses front matter onto document data", () => {
+  const parsed = Markdown.deserialize(frontMatter, { frontMatter: true });
+
+  expect(parsed.document.data.toJS()).toEqual({
+    title: "Hello: World",
+    date: "2020-05-24",
+    tags: ["one", "two"]
+  });
+  expect(parsed.document.nodes).toMatchSnapshot();
+});
+
+test("does not parse front matter that is not a mapping", () => {
+  const parsed = Markdown.deserialize("---\nnot front matter\n---", {
+    frontMatter: true
+  });
+
+  expect(parsed.document.data.size).toEqual(0);
+  expect(parsed.document.nodes.first().type).toEqual("horizontal-rule");
+});
+
+test("serializes document data as front matter when enabled", () => {
+  const parsed = Markdown.deserialize(frontMatter, { frontMatter: true });
+
+  expect(Markdown.serialize(parsed, { frontMatter: true })).toEqual(
+    frontMatter
+  );
+});
+
+test("keeps front matter as content when not enabled", () => {
+  const text = "---\nNote: beta\n---\n\nText";
+  const { value, markdown, differences } = Markdown.roundTrip(text);
+
+  expect(value.document.data.size).toEqual(0);
+  expect(markdown).toMatch(/Note: beta/);
+  expect(differences).toEqual([]);
+});
+
+// source positions
+
+test("records source positions on blocks", () => {
+  const text = "# Heading\r\n\r\n> quote\n> *more*\n\n* one\n\t* two\n";
+  const parsed = Markdown.deserialize(text, { sourcePositions: true });
+  const source = node => {
+    const { start, end } = node.data.get("position");
+    return text.slice(start.offset, end.offset);
+  };
+
+  const [heading, quote, , list] = parsed.document.nodes.toArray();
+  expect(source(heading)).toEqual("# Heading");
+  expect(source(quote)).toEqual("> quote\n> *more*");
+  expect(source(quote.nodes.get(1))).toEqual("*more*");
+  expect(source(list.nodes.get(0))).toEqual("* one\n\t* two");
+  expect(source(list.nodes.get(0).nodes.get(1).nodes.get(0))).toEqual("* two");
+  expect(quote.data.get("position")).toEqual({
+    start: { line: 3, column: 1, offset: 13 },
+    end: { line: 4, column: 9, offset: 29 }
+  });
+});
+
+test("records source positions on headings after blank lines", () => {
+  const text = "text\n\n## B\n\nC\n===\n";
+  const parsed = Markdown.deserialize(text, {
+    sourcePositions: true,
+    setextHeadings: true
+  });
+  const source = node => {
+    const { start, end } = node.data.get("position");
+    return text.slice(start.offset, end.offset);
+  };
+
+  const [, heading, setext] = parsed.document.nodes.toArray();
+  expect(heading.type).toEqual("heading2");
+  expect(source(heading)).toEqual("## B");
+  expect(setext.type).toEqual("heading1");
+  expect(source(setext)).toEqual("C\n===");
+});
+
+test("records source positions on table cells and their blocks", () => {
+  const text = "| a | b \\| c |\n| --- | --- |\n| x<br>* y | z |\n";
+  const parsed = Markdown.deserialize(text, { sourcePositions: "inline" });
+  const source = node => {
+    const { start, end } = node.data.get("position");
+    return text.slice(start.offset, end.offset);
+  };
+
+  const [header, row] = parsed.document.nodes.first().nodes.toArray();
+  const [a, b] = header.nodes.toArray();
+  const [lines, z] = row.nodes.toArray();
+
+  expect(source(a)).toEqual("a");
+  expect(source(a.nodes.first())).toEqual("a");
+  expect(source(b)).toEqual("b \\| c");
+  expect(source(lines)).toEqual("x<br>* y");
+  expect(lines.nodes.map(source).toArray()).toEqual(["x", "* y"]);
+  expect(source(z.nodes.first())).toEqual("z");
+});
+
+test("records source positions on inlines when asked", () => {
+  const text = "Front matter\n\n**see [this](http://example.com)**";
+  const parsed = Markdown.deserialize(text, { sourcePositions: "inline" });
+  const link = parsed.document.getInlines().first();
+  const { start, end } = link.data.get("position");
+
+  expect(text.slice(start.offset, end.offset)).toEqual(
+    "[this](http://example.com)"
+  );
+  expect(start).toEqual({ line: 3, column: 7, offset: 20 });
+  expect(Markdown.deserialize(text).document.nodes.first().data.size).toEqual(
+    0
+  );
+});
+
+test("returns a source map when serializing", () => {
+  const parsed = Markdown.deserialize("# Heading\n\n> [link](http://a)\n");
+  const { markdown, sourceMap } = Markdown.serialize(parsed, {
+    sourceMap: true
+  });
+  const output = node => {
+    const { start, end } = sourceMap[node.key];
+    return markdown.slice(start.offset, end.offset);
+  };
+
+  const quote = parsed.document.nodes.find(node => node.type === "block-quote");
+  expect(markdown).toEqual(Markdown.serialize(parsed));
+  expect(output(parsed.document.nodes.first())).toEqual("# Heading");
+  expect(output(quote)).toEqual("> [link](http://a)");
+  expect(output(parsed.document.getInlines().first())).toEqual(
+    "[link](http://a)"
+  );
+  expect(sourceMap[quote.key].start).toEqual({
+    line: 3,
+    column: 1,
+    offset: 11
+  });
+});
+
+test("serializes a single node without a context", () => {
+  const { document } = Markdown.deserialize("Some **bold** text\nmore");
+  const { serializeNode } = Markdown;
+
+  expect(serializeNode(document.nodes.first(), document)).toEqual(
+    "Some **bold** text"
+  );
+});
+
+// round trip verification
+
+test("verifies values that survive a round trip", () => {
+  const parsed = Markdown.deserialize("# Heading\n\n* **bold** [link](/a)\n");
+  expect(Markdown.verify(parsed)).toEqual([]);
+});
+
+test("reports nodes changed by a round trip", () => {
+  const parsed = Markdown.deserialize("[x] done\n\n*a *b\n");
+  const item = parsed.document.nodes.first().nodes.first();
+  const text = parsed.document.nodes.last().nodes.first();
+  const value = parsed.setIn(["document", "nodes", 0, "type"], "bulleted-list");
+
+  expect(Markdown.verify(value, { version: 2 })).toEqual([
+    {
+      kind: "data",
+      key: item.key,
+      type: "list-item",
+      path: [0, 0],
+      expected: { checked: true },
+      actual: {}
+    },
+    {
+      kind: "marks",
+      key: text.key,
+      type: "text",
+      path: [1, 0],
+      lost: ["italic"],
+      added: []
+    }
+  ]);
+});
+
+test("round trips markdown", () => {
+  const { value, markdown, differences } = Markdown.roundTrip(
+    "# Heading\n\nSome <u>html</u>\n"
+  );
+  expect(value.document.nodes.last().text).toEqual("Some <u>html</u>");
+  expect(markdown).toEqual("# Heading\n\nSome <u\\>html</u\\>");
+  expect(differences).toEqual([]);
+  expect(Markdown.roundTrip("Some <u>html</u>", { html: "map" })).toEqual(
+    expect.objectContaining({ differences: [] })
+  );
+});
+
+test("round trips text with escaped characters", () => {
+  ["a_b c", "5*3", "x [y] z", "a # b", "a > b", "a | b"].forEach(text => {
+    const { value, differences } = Markdown.roundTrip(text);
+
+    expect(value.document.text).toEqual(text);
+    expect(differences).toEqual([]);
+  });
+  expect(Markdown.roundTrip("**a_b** c").differences).toEqual([]);
+});
+
+test("compares adjacent text nodes as one", () => {
+  const value = Markdown.deserialize("a\\_b **c**");
+  const other = Markdown.deserialize("a\\_b c");
+  const texts = value.document.getTexts();
+
+  expect(texts.size).toBeGreaterThan(1);
+  expect(Markdown.verify(value)).toEqual([]);
+  expect(compareDocuments(value.document, other.document)).toEqual([
+    {
+      kind: "marks",
+      key: texts.first().key,
+      type: "text",
+      path: [0, 0],
+      lost: ["bold"],
+      added: []
+    }
+  ]);
+});
+
+// unknown nodes and marks
+
+function getUnknownValue() {
+  return Value.fromJSON({
+    document: {
+      nodes: [
+        {
+          object: "block",
+          type: "callout",
+          data: { tone: "info" },
+          nodes: [
+            {
+              object: "block",
+              type: "paragraph",
+              nodes: [
+                {
+                  object: "text",
+                  leaves: [
+                    { text: "Hi " },
+                    { text: "there", marks: [{ type: "highlight" }] }
+                  ]
+                },
+                {
+                  object: "inline",
+                  type: "mention",
+                  nodes: [{ object: "text", leaves: [{ text: "@tom" }] }]
+                },
+                { object: "text", leaves: [{ text: "" }] }
+              ]
+            }
+          ]
+        }
+      ]
+    }
+  });
+}
+
+test("leaves out unknown nodes and marks by default", () => {
+  expect(Markdown.serialize(getUnknownValue())).toEqual("");
+});
+
+test("throws on unknown nodes with their path", () => {
+  expect(() =>
+    Markdown.serialize(getUnknownValue(), { onUnknown: "throw" })
+  ).toThrow('No rule serializes the mark "highlight" at path [0, 0, 0]');
+});
+
+test("warns about unknown nodes and marks", () => {
+  const value = getUnknownValue();
+  const paragraph = value.document.nodes.first().nodes.first();
+  const { markdown, warnings } = Markdown.serialize(value, {
+    onUnknown: "warn"
+  });
+
+  expect(markdown).toEqual("Hi there@tom");
+  expect(warnings).toEqual([
+    {
+      object: "mark",
+      type: "highlight",
+      key: paragraph.nodes.first().key,
+      path: [0, 0, 0]
+    },
+    {
+      object: "inline",
+      type: "mention",
+      key: paragraph.nodes.get(1).key,
+      path: [0, 0, 1]
+    },
+    {
+      object: "block",
+      type: "callout",
+      key: value.document.nodes.first().key,
+      path: [0]
+    }
+  ]);
+});
+
+test("serializes unknown nodes and marks as html", () => {
+  const value = getUnknownValue();
+
+  expect(Markdown.serialize(value, { onUnknown: "children" })).toEqual(
+    "Hi there@tom"
+  );
+  expect(Markdown.serialize(value, { onUnknown: "comment" })).toEqual(
+    '<!-- callout {"tone":"info"} -->\nHi <!-- highlight -->there<!-- /highlight --><!-- mention -->@tom<!-- /mention -->\n<!-- /callout -->'
+  );
+  expect(Markdown.serialize(value, { onUnknown: "html" })).toEqual(
+    '<div data-slate-type="callout" data-slate-data="{&quot;tone&quot;:&quot;info&quot;}">\n\nHi <span data-slate-mark="highlight">there</span><span data-slate-type="mention">@tom</span>\n\n</div>'
+  );
+});
+
+// ordered list numbering
+
+test("parses the start number of ordered lists", () => {
+  const parsed = Markdown.deserialize("5. five\n6. six\n\ntext\n\n1. one\n");
+  const [first, second] = parsed.document.nodes
+    .filter(node => node.type === "ordered-list")
+    .toArray();
+
+  expect(first.data.get("start")).toEqual(5);
+  expect(second.data.has("start")).toBe(false);
+});
+
+test("serializes ordered lists with the chosen numbering", () => {
+  const parsed = Markdown.deserialize("3. three\n4. four\n5. five\n");
+
+  expect(Markdown.serialize(parsed)).toEqual("1. three\n1. four\n1. five\n");
+  expect(Markdown.serialize(parsed, { listNumbering: "increment" })).toEqual(
+    "1. three\n2. four\n3. five\n"
+  );
+  expect(Markdown.serialize(parsed, { listNumbering: "preserve" })).toEqual(
+    "3. three\n4. four\n5. five\n"
+  );
+});
+
+test("indents lists nested in ordered lists by the width of the number", () => {
+  const text = `9. nine
+10. ten
+    1. nested
+`;
+  const parsed = Markdown.deserialize(text);
+  const output = Markdown.serialize(parsed, { listNumbering: "preserve" });
+
+  expect(output).toEqual(text);
+  expect(Markdown.deserialize(output).document.toJSON()).toEqual(
+    parsed.document.toJSON()
+  );
+});
+
+// loose lists
+
+test("parses loose lists", () => {
+  const parsed = Markdown.deserialize("* one\n\n* two\n\n  more\n");
+  const list = parsed.document.nodes.first();
+
+  expect(list.data.get("loose")).toBe(true);
+  expect(list.nodes.size).toEqual(2);
+  expect(list.nodes.last().nodes.map(node => node.text).toArray()).toEqual([
+    "two",
+    "more"
+  ]);
+  expect(
+    Markdown.deserialize("* one\n* two\n").document.nodes.first().data.size
+  ).toEqual(0);
+});
+
+test("serializes loose lists with blank lines", () => {
+  const text = `1. one
+
+1. two
+
+   more
+   * nested
+   * tight
+
+1. three
+`;
+  const parsed = Markdown.deserialize(text);
+
+  expect(Markdown.serialize(parsed)).toEqual(text);
+  expect(getNodes(text).first().data.get("loose")).toBe(true);
+});
+
+// style preservation
+
+const styledText = `- one *emphasis* and _more_
+- two
+  + nested
+
+~~~js
+code
+~~~`;
+
+test("keeps markdown style on data when preserving style", () => {
+  const parsed = Markdown.deserialize(styledText, { preserveStyle: true });
+  const [list, code] = parsed.document.nodes.toArray();
+  const marks = parsed.document
+    .getMarks()
+    .toArray()
+    .map(mark => mark.data.get("marker"));
+
+  expect(list.data.get("bullet")).toEqual("-");
+  expect(code.data.get("fence")).toEqual("~~~");
+  expect(marks).toEqual(["*", "_"]);
+  expect(Markdown.serialize(parsed)).toEqual(styledText);
+});
+
+test("writes default styles for content without one", () => {
+  const parsed = Markdown.deserialize(styledText);
+  const style = { bullet: "+", emphasis: "*", fence: "````" };
+
+  expect(Markdown.serialize(parsed)).toEqual(`* one _emphasis_ and _more_
+* two
+  * nested
+
+\`\`\`js
+code
+\`\`\``);
+  expect(Markdown.serialize(parsed, style)).toEqual(`+ one *emphasis* and *more*
++ two
+  + nested
+
+\`\`\`\`js
+code
+\`\`\`\``);
+});
+
+// setext headings
+
+test("parses setext headings when enabled", () => {
+  const text = "Title\n=====\n\nSubtitle\n---\n";
+  const parsed = Markdown.deserialize(text, { setextHeadings: true });
+
+  expect(parsed.document.nodes.map(node => node.type).toArray()).toEqual([
+    "heading1",
+    "heading2"
+  ]);
+  expect(parsed.document.nodes.map(node => node.text).toArray()).toEqual([
+    "Title",
+    "Subtitle"
+  ]);
+  expect(
+    Markdown.deserialize(text).document.nodes.map(node => node.type).toArray()
+  ).toEqual(["heading1", "paragraph", "horizontal-rule"]);
+});
+
+test("parses setext headings underlined with one character", () => {
+  const types = text =>
+    Markdown.deserialize(text, { setextHeadings: true })
+      .document.nodes.map(node => node.type)
+      .toArray();
+
+  expect(types("Title\n===")).toEqual(["heading1"]);
+  expect(types("Title\n---")).toEqual(["heading2"]);
+  expect(types("Title\n=-=-")).toEqual(["paragraph", "paragraph"]);
+  expect(types("Title\n-=")).toEqual(["paragraph", "paragraph"]);
+});
+
+test("serializes headings in the chosen style", () => {
+  const parsed = Markdown.deserialize("# One\n\n## Two\n\n### Three\n");
+
+  expect(
+    Markdown.serialize(parsed, { setextHeadings: true, closeHeadings: true })
+  ).toEqual("One\n===\n\n\nTwo\n---\n\n\n### Three ###\n");
+});
+
+test("keeps the style of headings when preserving style", () => {
+  const text = "Title\n=====\n\n\n### Three ###\n\n\n## Two\n";
+  const options = { setextHeadings: true, preserveStyle: true };
+  const parsed = Markdown.deserialize(text, options);
+
+  expect(Markdown.serialize(parsed)).toEqual(text);
+  expect(
+    Markdown.deserialize("# C#", options).document.nodes.first().data.size
+  ).toEqual(0);
+});
+
+// block content in list items
+
+test("keeps block content within list items", () => {
+  const text = `* item
+
+  \`\`\`js
+  code
+  \`\`\`
+
+  > quote
+
+  ![alt](http://example.com/logo.png)
+
+  second paragraph
+
+* next
+  * nested
+    \`\`\`
+    deep
+    \`\`\`
+`;
+  const { value, markdown, differences } = Markdown.roundTrip(text);
+  const item = value.document.nodes.first().nodes.first();
+
+  expect(item.nodes.map(node => node.type).toArray()).toEqual([
+    "paragraph",
+    "code",
+    "block-quote",
+    "paragraph",
+    "paragraph"
+  ]);
+  expect(markdown).toEqual(text);
+  expect(differences).toEqual([]);
+});
+
+test("serializes list items starting with a block", () => {
+  const value = Value.fromJSON({
+    document: {
+      nodes: [
+        {
+          object: "block",
+          type: "ordered-list",
+          nodes: [
+            {
+              object: "block",
+              type: "list-item",
+              nodes: [
+                {
+                  object: "block",
+                  type: "code",
+                  nodes: [{ object: "text", leaves: [{ text: "a\nb" }] }]
+                },
+                {
+                  object: "block",
+                  type: "paragraph",
+                  nodes: [{ object: "text", leaves: [{ text: "after" }] }]
+                }
+              ]
+            }
+          ]
+        }
+      ]
+    }
+  });
+
+  expect(Markdown.serialize(value)).toEqual(
+    "1. ```\n   a\n   b\n   ```\n   after\n"
+  );
+  expect(Markdown.verify(value)).toEqual([]);
+});
+
+// block quotes
+
+test("round trips nested block quotes", () => {
+  const text = `> > On Monday you wrote
+> > > the original
+> 
+> reply`;
+  const { value, markdown, differences } = Markdown.roundTrip(text);
+  const quote = value.document.nodes.first();
+
+  expect(quote.nodes.map(node => node.type).toArray()).toEqual([
+    "block-quote",
+    "paragraph",
+    "paragraph"
+  ]);
+  expect(quote.nodes.first().nodes.last().type).toEqual("block-quote");
+  expect(markdown).toEqual(text);
+  expect(differences).toEqual([]);
+});
+
+test("keeps rich block content within block quotes", () => {
+  const text = `> # Heading
+> 
+> * one
+> * two
+> 
+> \`\`\`js
+> code
+> \`\`\`
+
+after`;
+  const { value, markdown, differences } = Markdown.roundTrip(text);
+
+  expect(
+    value.document.nodes.first().nodes.map(node => node.type).toArray()
+  ).toEqual(["heading1", "bulleted-list", "code"]);
+  expect(markdown).toEqual(text);
+  expect(differences).toEqual([]);
+});
+
+// pretty tables
+
+test("aligns the columns of tables", () => {
+  const text = `
+| Name | 名前 | Price |
+|:--|:-:|--:|
+| apple | りんご | $1 |
+| kiwi fruit | キウイ | $12.50 |
+`;
+  const { markdown, differences } = Markdown.roundTrip(text, {
+    prettyTables: true
+  });
+
+  expect(markdown).toEqual(`| Name       |  名前  |  Price |
+| :--------- | :----: | -----: |
+| apple      | りんご |     $1 |
+| kiwi fruit | キウイ | $12.50 |`);
+  expect(differences).toEqual([]);
+});
+
+// table cells
+
+test("parses table cells with line breaks into blocks", () => {
+  const text = `| Notes | Steps |
+| --- | --- |
+| first<br>second \\| pipe | * one<br/>* two |
+| \`a\\|b\` | plain |`;
+  const { value, markdown, differences } = Markdown.roundTrip(text);
+  const cells = value.document.nodes.first().nodes.get(1).nodes.toArray();
+
+  expect(cells[0].nodes.map(node => node.text).toArray()).toEqual([
+    "first",
+    "second | pipe"
+  ]);
+  expect(cells[1].nodes.first().type).toEqual("bulleted-list");
+  expect(value.document.getTexts().get(6).text).toEqual("a|b");
+  expect(markdown).toEqual(text.replace("<br/>", "<br>"));
+  expect(differences).toEqual([]);
+});
+
+test("escapes literal line breaks typed in table cells", () => {
+  const text = `| Code | Text |
+| --- | --- |
+| \`a\\<br>b\` | c <br\\> d |`;
+  const { value, markdown, differences } = Markdown.roundTrip(text);
+  const cells = value.document.nodes.first().nodes.get(1).nodes.toArray();
+
+  expect(cells.map(cell => cell.nodes.size)).toEqual([1, 1]);
+  expect(cells.map(cell => cell.text)).toEqual(["a<br>b", "c <br> d"]);
+  expect(markdown).toEqual(text);
+  expect(differences).toEqual([]);
+});
+
+// line breaks
+
+const poem = `Roses are red  
+Violets are blue\\
+Sugar is sweet`;
+
+test("parses hard line breaks into new lines", () => {
+  const parsed = Markdown.deserialize(poem);
+
+  expect(parsed.document.nodes.size).toEqual(1);
+  expect(parsed.document.text).toEqual(
+    "Roses are red\nViolets are blue\nSugar is sweet"
+  );
+  expect(Markdown.deserialize("one\ntwo").document.nodes.size).toEqual(2);
+  expect(
+    Markdown.deserialize("one\ntwo", { softBreaks: true }).document.text
+  ).toEqual("one\ntwo");
+});
+
+test("serializes new lines as hard line breaks", () => {
+  const parsed = Markdown.deserialize(`* ${poem.replace(/\n/g, "\n  ")}`);
+
+  expect(Markdown.serialize(parsed)).toEqual(
+    "* Roses are red  \n  Violets are blue  \n  Sugar is sweet\n"
+  );
+  expect(Markdown.serialize(parsed, { lineBreak: "backslash" })).toEqual(
+    "* Roses are red\\\n  Violets are blue\\\n  Sugar is sweet\n"
+  );
+  expect(Markdown.roundTrip(poem).differences).toEqual([]);
+});
+
+test("round trips soft breaks as plain new lines", () => {
+  const text = `line one
+line two\\
+line **three
+four**`;
+  const { value, markdown, differences } = Markdown.roundTrip(text, {
+    softBreaks: true
+  });
+  const nodes = value.document.nodes.first().nodes;
+
+  expect(nodes.map(node => node.type).toArray()).toEqual([
+    undefined,
+    "soft-break",
+    undefined,
+    "soft-break",
+    undefined
+  ]);
+  expect(value.document.text).toEqual("line one\nline two\nline three\nfour");
+  expect(markdown).toEqual("line one\nline two  \nline **three**\n**four**");
+  expect(differences).toEqual([]);
+  expect(
+    Markdown.roundTrip("line one\nline two", { softBreaks: true }).markdown
+  ).toEqual("line one\nline two");
+});
+
+// incremental parsing
+
+const runbook = `# Runbook
+
+Check the *status* first.
+
+* restart
+* verify
+  the logs
+
+\`\`\`sh
+make deploy
+\`\`\`
+
+Done.
+`;
+
+function edited(find, from, to, text) {
+  const at = runbook.indexOf(find);
+  return { start: at + from, end: at + to, text };
+}
+
+test("reparses the blocks around an edit", () => {
+  const options = { sourcePositions: true };
+  const value = Markdown.deserialize(runbook, options);
+  const edits = [
+    edited("status", 0, 6, "health"),
+    edited("* verify", 2, 8, "check"),
+    edited("Done.", 0, 0, "> note\n\n"),
+    edited("make", 0, 4, "make\nrun"),
+    edited("\n\nDone.", 0, 2, "")
+  ];
+
+  edits.forEach(edit => {
+    const markdown = runbook.slice(0, edit.start) + edit.text;
+    const expected = Markdown.deserialize(
+      markdown + runbook.slice(edit.end),
+      options
+    );
+    const result = Markdown.reparse(value, runbook, edit, options);
+
+    expect(result.document.toJSON()).toEqual(expected.document.toJSON());
+  });
+
+  const result = Markdown.reparse(value, runbook, edits[0], options);
+  const keys = value.document.nodes.map(node => node.key).toArray();
+  const newKeys = result.document.nodes.map(node => node.key).toArray();
+
+  expect(newKeys[0]).toEqual(keys[0]);
+  expect(newKeys[2]).not.toEqual(keys[2]);
+  expect(newKeys.slice(4)).toEqual(keys.slice(4));
+});
+
+test("reparses the whole document when an edit changes more", () => {
+  const value = Markdown.deserialize(runbook, { sourcePositions: true });
+  const edit = edited("* restart", 0, 0, "```\n");
+  const result = Markdown.reparse(value, runbook, edit);
+  const expected = Markdown.deserialize(
+    `${runbook.slice(0, edit.start)}\`\`\`\n${runbook.slice(edit.start)}`,
+    { sourcePositions: true }
+  );
+
+  expect(result.document.toJSON()).toEqual(expected.document.toJSON());
+  expect(
+    result.document.nodes.some(
+      node => node.key === value.document.nodes.last().key
+    )
+  ).toBe(false);
+});
+
+test("reparses the whole document when an edit opens a block closed later", () => {
+  const markdown = "a\n\nb\n\nc\n\n```\nx\n```\n";
+  const edits = [
+    { start: 3, text: "```\n" },
+    { start: 3, text: "$$\n" },
+    { start: 3, text: "<!--\n" }
+  ];
+  const value = Markdown.deserialize(markdown, {
+    sourcePositions: true,
+    math: true
+  });
+
+  edits.forEach(edit => {
+    const text = markdown.slice(0, 3) + edit.text + markdown.slice(3);
+    const expected = Markdown.deserialize(text, {
+      sourcePositions: true,
+      math: true
+    });
+    const result = Markdown.reparse(value, markdown, edit, { math: true });
+
+    expect(result.document.toJSON()).toEqual(expected.document.toJSON());
+  });
+  expect(
+    Markdown.reparse(value, markdown, edits[0])
+      .document.nodes.map(node => [node.type, node.text])
+      .toArray()
+  ).toEqual([
+    ["paragraph", "a"],
+    ["paragraph", ""],
+    ["code", "b\n\nc"],
+    ["paragraph", "x"],
+    ["paragraph", "```"]
+  ]);
+});
+
+test("reparses the whole document when an edit changes a fence line", () => {
+  const markdown = "```\ncode\n```\n\npara\n\n```\nmore\n```\n";
+  const edit = { start: 12, end: 12, text: "x" };
+  const value = Markdown.deserialize(markdown, { sourcePositions: true });
+  const result = Markdown.reparse(value, markdown, edit);
+  const expected = Markdown.deserialize(
+    `${markdown.slice(0, 12)}x${markdown.slice(12)}`,
+    { sourcePositions: true }
+  );
+
+  expect(result.document.toJSON()).toEqual(expected.document.toJSON());
+  expect(result.document.nodes.map(node => node.type).toArray()).toEqual([
+    "code",
+    "paragraph",
+    "paragraph"
+  ]);
+});
+
+test("reparses the blocks around an edit after headings", () => {
+  const markdown = "# A\n\ntext\n\n## B\n\nmore";
+  const value = Markdown.deserialize(markdown, { sourcePositions: true });
+  const edit = { start: markdown.length, text: "!" };
+  const result = Markdown.reparse(value, markdown, edit);
+  const keys = value.document.nodes.map(node => node.key).toArray();
+  const newKeys = result.document.nodes.map(node => node.key).toArray();
+
+  expect(result.document.toJSON()).toEqual(
+    Markdown.deserialize(`${markdown}!`, {
+      sourcePositions: true
+    }).document.toJSON()
+  );
+  expect(newKeys.slice(0, 3)).toEqual(keys.slice(0, 3));
+  expect(newKeys[3]).not.toEqual(keys[3]);
+});
+
+test("reparses plain values as a whole", () => {
+  const value = Markdown.deserialize(runbook, { model: "plain" });
+  const edit = edited("status", 0, 6, "health");
+  const text = `${runbook.slice(0, edit.start)}health${runbook.slice(edit.end)}`;
+
+  expect(Markdown.reparse(value, runbook, edit, { model: "plain" })).toEqual(
+    Markdown.deserialize(text, { model: "plain", sourcePositions: true })
+  );
+});
+
+// large documents
+
+test("leaves unclosed delimiters in long text as text", () => {
+  const text = "a [b _c ~~d ++e ".repeat(2000);
+  const parsed = Markdown.deserialize(text);
+
+  expect(parsed.document.text).toEqual(text);
+  expect(parsed.document.getMarks().size).toEqual(0);
+});
+
+test("parses text crafted to backtrack in the grammar", () => {
+  const emphasis = "_a____ " + "__a".repeat(40);
+  const link = "[a](" + " ".repeat(5000) + "b c";
+
+  expect(Markdown.deserialize(emphasis).document.text).toEqual(
+    "_a__ " + "a".repeat(39) + "__a"
+  );
+  expect(Markdown.deserialize(link).document.text).toEqual(link);
+});
+
+test("reads link definition labels from a single line", () => {
+  const lines = "\n[x".repeat(5000);
+  const list = Markdown.deserialize(`* a${lines}`).document;
+  const quote = Markdown.deserialize(`> a${lines}`).document;
+
+  expect(list.nodes.first().type).toEqual("bulleted-list");
+  expect(list.text).toEqual(`a${"[x".repeat(5000)}`);
+  expect(quote.nodes.first().type).toEqual("block-quote");
+  expect(quote.text).toEqual(`a${"[x".repeat(5000)}`);
+  expect(
+    Markdown.deserialize("[a\nb]: /c").document.data.get("linkDefinitions")
+  ).toBeUndefined();
+});
+
+test("throws a LimitError on markdown past the limits", () => {
+  const { LimitError } = MarkdownRenderer;
+  const limit = (text, options) => {
+    try {
+      Markdown.deserialize(text, { silent: true, ...options });
+    } catch (err) {
+      expect(err).toBeInstanceOf(LimitError);
+      return err.limit;
+    }
+  };
+
+  expect(limit("a".repeat(11), { maxLength: 10 })).toEqual("maxLength");
+  expect(limit("> > > a", { maxDepth: 2 })).toEqual("maxDepth");
+  expect(limit("*a **b _c_** d*", { maxDepth: 2 })).toEqual("maxDepth");
+  expect(limit("a\n\n".repeat(6), { maxNodes: 10 })).toEqual("maxNodes");
+  expect(limit("> > a *b*", { maxLength: 10, maxDepth: 3 })).toBeUndefined();
+});
+
+test("limits the depth of nesting by default", () => {
+  const { LimitError } = MarkdownRenderer;
+  const quote = `${">".repeat(5000)} a`;
+
+  expect(() => Markdown.deserialize(quote)).toThrow(LimitError);
+  expect(() => Markdown.deserialize(quote, { silent: true })).toThrow(
+    /maxDepth of 100/
+  );
+  expect(Markdown.deserialize(`${">".repeat(100)} a`).document.text).toEqual(
+    "a"
+  );
+  expect(
+    Markdown.deserialize(`${">".repeat(150)} a`, { maxDepth: Infinity })
+      .document.text
+  ).toEqual("a");
+});
+
+// data models
+
+test("deserializes to the plain data model of Slate 0.50", () => {
+  const nodes = Markdown.deserialize("Some *bold* [link](/a)", {
+    model: "plain"
+  });
+
+  expect(nodes).toEqual([
+    {
+      type: "paragraph",
+      children: [
+        { text: "Some " },
+        { text: "bold", italic: true },
+        { text: " " },
+        { type: "link", href: "/a", children: [{ text: "link" }] },
+        { text: "" }
+      ]
+    }
+  ]);
+});
+
+test("deserializes to the data model of Slate 0.47", () => {
+  const fromJSON = jest.spyOn(Value, "fromJSON");
+
+  try {
+    Markdown.deserialize("Some **bold** text", { model: "marks" });
+    const { document } = fromJSON.mock.calls[0][0];
+
+    expect(document.nodes[0].nodes).toEqual([
+      { object: "text", text: "Some ", marks: [] },
+      { object: "text", text: "bold", marks: [{ type: "bold" }] },
+      { object: "text", text: " text", marks: [] }
+    ]);
+  } finally {
+    fromJSON.mockRestore();
+  }
+});
+
+test("serializes plain values", () => {
+  const children = [
+    { type: "heading1", children: [{ text: "Title" }] },
+    {
+      type: "paragraph",
+      children: [
+        { text: "Some " },
+        { text: "bold", bold: true },
+        { text: " and " },
+        { text: "italic", italic: { marker: "*" } },
+        { text: " " },
+        { type: "link", href: "/a", children: [{ text: "link" }] },
+        { text: "" }
+      ]
+    },
+    {
+      type: "bulleted-list",
+      children: [
+        {
+          type: "list-item",
+          children: [{ type: "paragraph", children: [{ text: "item" }] }]
+        }
+      ]
+    }
+  ];
+  const markdown = "# Title\n\nSome **bold** and *italic* [link](/a)\n* item\n";
+
+  expect(Markdown.serialize(children)).toEqual(markdown);
+  expect(Markdown.serialize({ children })).toEqual(markdown);
+  expect(Markdown.verify(children, { model: "plain" })).toEqual([]);
+});
@@ -1,4 +1,4 @@
-import { escapeMarkdownChars } from "../utils";
+import { escapeMarkdownChars, stringWidth, trimEnd } from "../utils";
 
 describe("escapeMarkdownChars", () => {
   test("handles headings", () => {
@@ -58,3 +58,30 @@ describe("escapeMarkdownChars", () => {
     );
   });
 });
+
+describe("stringWidth", () => {
+  test("counts characters", () => {
+    expect(stringWidth("text")).toEqual(4);
+  });
+
+  test("counts wide characters as two columns", () => {
+    expect(stringWidth("名前")).toEqual(4);
+    expect(stringWidth("ｆｕｌｌ")).toEqual(8);
+    expect(stringWidth("🎉")).toEqual(2);
+  });
+
+  test("does not count combining marks", () => {
+    expect(stringWidth("cafe\u0301")).toEqual(4);
+  });
+});
+
+describe("trimEnd", () => {
+  test("removes white space from the end", () => {
+    expect(trimEnd("  text \n\n")).toEqual("  text");
+  });
+
+  test("removes the characters matching a pattern from the end", () => {
+    expect(trimEnd("text\n\n \n", /\n/)).toEqual("text\n\n ");
+    expect(trimEnd("\n\n", /\n/)).toEqual("");
+  });
+});
@@ -0,0 +1,222 @@
+import { List } from "immutable";
+import compareDocuments from "./verify";
+
+// link definitions are resolved across the whole document
+const DEFINITION = /^ {0,3}\[[^\]\n]+\]:/m;
+
+// code fences, math blocks and html comments run on until their closer, which
+// can be past the window when they are not closed within it
+const FENCE = /^ {0,3}(?:`{3,}|~{3,})/gm;
+const MATH = /\$\$/g;
+const COMMENT_OPEN = /<!--/g;
+const COMMENT_CLOSE = /-->/g;
+
+// the lines of fences and the delimiters of math blocks and html comments,
+// only a bare fence line can close a fence
+const DELIMITER = /^ {0,3}(?:`{3,}|~{3,}).*$|\$\$|<!--|-->/gm;
+
+/**
+ * Apply an `edit`, replacing the text between its `start` and `end` offsets
+ * with its `text`, to `markdown`.
+ *
+ * @param {String} markdown
+ * @param {Object} edit
+ * @return {String}
+ */
+
+export function applyEdit(markdown, edit) {
+  const { start, end = start, text = "" } = edit;
+  return markdown.slice(0, start) + text + markdown.slice(end);
+}
+
+/**
+ * Find the top-level blocks of `document`, parsed from `markdown` with
+ * source positions, that have to be parsed again after `edit`. The blocks
+ * touched by the edit are widened by the closest block with content on
+ * either side, which are parsed again as well to check that they are
+ * unchanged.
+ *
+ * Returns the `text` to parse from the edited markdown, where it starts and
+ * the indexes of the blocks it spans, or nothing when the whole document
+ * has to be parsed again, as when the window holds a code fence, math block
+ * or html comment that it does not close, or when the edit changes one of
+ * their fence lines or delimiters.
+ *
+ * @param {Document} document
+ * @param {String} markdown
+ * @param {Object} edit
+ * @return {Object|Void}
+ */
+
+export function findWindow(document, markdown, edit) {
+  const blocks = document.nodes;
+  const positions = blocks.map(positionOf);
+  const { start, end = start, text = "" } = edit;
+
+  if (
+    !blocks.size ||
+    positions.includes(undefined) ||
+    document.data.has("linkDefinitions")
+  ) {
+    return;
+  }
+
+  let first = positions.findIndex(position => position.end.offset >= start);
+  if (first === -1) first = blocks.size;
+  const last = positions.findLastIndex(position => lineStart(position) <= end);
+
+  const before = blocks.findLastKey(
+    (node, index) => index < Math.min(first, last + 1) && hasContent(node)
+  );
+  const after = blocks.findKey(
+    (node, index) => index > Math.max(last, first - 1) && hasContent(node)
+  );
+  if (before === undefined && after === undefined) return;
+
+  const delta = text.length - (end - start);
+  const from = before === undefined ? 0 : lineStart(positions.get(before));
+  const to = after === undefined
+    ? markdown.length
+    : positions.get(after).end.offset;
+  const removed = markdown.slice(from, to);
+  const added = applyEdit(markdown, edit).slice(from, to + delta);
+
+  if (DEFINITION.test(removed) || DEFINITION.test(added)) return;
+  if (isUnclosed(removed) || isUnclosed(added)) return;
+  if (!isSameList(delimitersOf(removed), delimitersOf(added))) return;
+
+  return {
+    text: added,
+    offset: from,
+    line: before === undefined ? 0 : positions.get(before).start.line - 1,
+    lines: countLines(text) - countLines(markdown.slice(start, end)),
+    delta,
+    before,
+    after
+  };
+}
+
+/**
+ * Replace the blocks of `document` spanned by `window` with the `fragment`
+ * parsed from its text. Blocks outside of the window, and the blocks on
+ * either side of the edit when they parsed the same, keep their keys with
+ * their positions moved by the edit.
+ *
+ * Returns nothing when the blocks on either side did not parse the same, as
+ * the edit changed more than the window.
+ *
+ * @param {Document} document
+ * @param {Object} window
+ * @param {List} fragment
+ * @return {List|Void}
+ */
+
+export function spliceWindow(document, window, fragment) {
+  const { before, after, offset, line, delta, lines } = window;
+  const blocks = document.nodes;
+  let nodes = fragment;
+
+  if (before !== undefined) {
+    if (!isSame(blocks.get(before), nodes.first())) return;
+    nodes = nodes.rest();
+  }
+  if (after !== undefined) {
+    if (!isSame(blocks.get(after), nodes.last())) return;
+    nodes = nodes.butLast();
+  }
+
+  return List().concat(
+    blocks.slice(0, before === undefined ? 0 : before + 1),
+    nodes.map(node => shiftPositions(node, offset, line)),
+    after === undefined
+      ? List()
+      : blocks.slice(after).map(node => shiftPositions(node, delta, lines))
+  );
+}
+
+/**
+ * Move the positions of `node` and its descendants by `offset` characters
+ * and `lines` lines. Blocks start on a line of their own, so their columns
+ * are unchanged.
+ *
+ * @param {Node} node
+ * @param {Number} offset
+ * @param {Number} lines
+ * @return {Node}
+ */
+
+export function shiftPositions(node, offset, lines) {
+  if (node.object === "text" || (!offset && !lines)) return node;
+
+  const position = positionOf(node);
+  const shift = point => ({
+    line: point.line + lines,
+    column: point.column,
+    offset: point.offset + offset
+  });
+
+  if (position) {
+    node = node.setIn(["data", "position"], {
+      start: shift(position.start),
+      end: shift(position.end)
+    });
+  }
+
+  return node.set(
+    "nodes",
+    node.nodes.map(child => shiftPositions(child, offset, lines))
+  );
+}
+
+function positionOf(node) {
+  const position = node.data.get("position");
+  return position && position.toJS ? position.toJS() : position;
+}
+
+// the offset of the start of the line a block starts on
+function lineStart(position) {
+  return position.start.offset - position.start.column + 1;
+}
+
+// blank lines are parsed into empty paragraphs, which are of no use to
+// check whether the blocks around an edit are unchanged
+function hasContent(node) {
+  return node.type !== "paragraph" || !!node.text;
+}
+
+function isSame(node, other) {
+  return (
+    !!other &&
+    node.type === other.type &&
+    compareDocuments(node, other).length === 0
+  );
+}
+
+// whether `text` opens a block that it does not close, counting every fence
+// and `$$` as either an opener or a closer
+function isUnclosed(text) {
+  return (
+    count(text, FENCE) % 2 === 1 ||
+    count(text, MATH) % 2 === 1 ||
+    count(text, COMMENT_OPEN) > count(text, COMMENT_CLOSE)
+  );
+}
+
+function delimitersOf(text) {
+  return text.match(DELIMITER) || [];
+}
+
+function isSameList(list, other) {
+  return (
+    list.length === other.length &&
+    list.every((item, index) => item === other[index])
+  );
+}
+
+function count(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+function countLines(text) {
+  return text.split(/\r\n|\r|\n/).length - 1;
+}
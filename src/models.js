@@ -0,0 +1,239 @@
+import { List, Map, Record, Set, fromJS } from "immutable";
+
+/**
+ * Slate Data Models
+ *
+ * The parser writes the JSON of Slate up to 0.45, where each text node holds
+ * `leaves` of text sharing the same marks. From Slate 0.46 each leaf is a
+ * text node of its own with `text` and `marks`, and from Slate 0.50 values
+ * are plain objects: elements with their data as properties and `children`,
+ * and texts with a property for each mark, eg. `{ text, bold: true }`.
+ */
+
+// elements the parser places among text which are blocks nonetheless
+const BLOCKS_IN_TEXT = ["image"];
+
+/**
+ * Convert the `node` JSON written by the parser to Slate 0.46+ JSON, where
+ * each leaf is a text node of its own.
+ *
+ * @param {Object} node
+ * @return {Object}
+ */
+
+export function toMarksJSON(node) {
+  if (!node.nodes) return node;
+
+  return {
+    ...node,
+    nodes: flatMap(node.nodes, child => {
+      if (child.object !== "text") return [toMarksJSON(child)];
+
+      return child.leaves.map(leaf => ({
+        object: "text",
+        text: leaf.text,
+        marks: leaf.marks || []
+      }));
+    })
+  };
+}
+
+/**
+ * Convert the `node` JSON written by the parser to a Slate 0.50+ value. Marks
+ * without data are written as `true`. Inline elements are kept between text
+ * nodes, and elements without children given an empty one, as Slate expects.
+ *
+ * @param {Object} node
+ * @return {Object}
+ */
+
+export function toPlain(node) {
+  if (node.object === "text") {
+    return node.leaves.map(leaf => {
+      const text = { text: leaf.text };
+      (leaf.marks || []).forEach(mark => {
+        text[mark.type] = mark.data || true;
+      });
+      return text;
+    });
+  }
+
+  const element = { type: node.type, ...node.data };
+  const nodes = node.nodes || [];
+  const children = [];
+
+  nodes.forEach(child => {
+    const last = children[children.length - 1];
+    if (child.object === "inline" && (!last || last.children)) {
+      children.push({ text: "" });
+    }
+    children.push(...[].concat(toPlain(child)));
+  });
+
+  const last = children[children.length - 1];
+  if (!last || (nodes.some(isInline) && last.children)) {
+    children.push({ text: "" });
+  }
+
+  element.children = children;
+  return element;
+}
+
+/**
+ * A text node of Slate 0.46+, or of a plain value, which is a leaf of its own.
+ */
+
+const Text = Record({
+  object: "text",
+  key: undefined,
+  text: "",
+  marks: Set()
+});
+
+const Mark = Record({
+  object: "mark",
+  type: undefined,
+  data: Map()
+});
+
+/**
+ * An element of a plain value. Elements are keyed by their path from the
+ * document joined by commas, as plain values have no keys, so that the
+ * document finds its descendants by key as Slate does.
+ */
+
+class Element
+  extends Record({
+    object: "block",
+    key: undefined,
+    type: undefined,
+    data: Map(),
+    nodes: List()
+  }) {
+  get text() {
+    return this.nodes.map(node => node.text).join("");
+  }
+
+  getMarks() {
+    return this.nodes.reduce(
+      (marks, node) =>
+        marks.union(node.object === "text" ? node.marks : node.getMarks()),
+      Set()
+    );
+  }
+
+  getPath(key) {
+    return List(key === "" ? [] : key.split(",").map(Number));
+  }
+
+  getNode(key) {
+    return this.getPath(key).reduce(
+      (node, index) => node.nodes.get(index),
+      this
+    );
+  }
+
+  getParent(key) {
+    const path = this.getPath(key);
+    return path.size ? this.getNode(path.pop().join(",")) : null;
+  }
+
+  getClosest(key, match) {
+    let path = this.getPath(key);
+
+    while (path.size) {
+      path = path.pop();
+      const node = this.getNode(path.join(","));
+      if (match(node)) return node;
+    }
+    return null;
+  }
+}
+
+/**
+ * Create a document from the nodes of a plain value.
+ *
+ * @param {Array} children
+ * @return {Element}
+ */
+
+export function fromPlain(children) {
+  return new Element({
+    object: "document",
+    key: "",
+    nodes: plainNodes(children, [])
+  });
+}
+
+function plainNodes(children, path) {
+  const inText = children.some(child => !child.children);
+
+  return List(
+    children.map((child, index) => {
+      const key = [...path, index].join(",");
+      const { children: nodes, text, type, ...data } = child;
+
+      if (!nodes) {
+        return new Text({
+          key,
+          text,
+          marks: Set(
+            Object.keys(data)
+              .filter(name => data[name])
+              .map(name => plainMark(name, data[name]))
+          )
+        });
+      }
+
+      return new Element({
+        object: inText && !BLOCKS_IN_TEXT.includes(type) ? "inline" : "block",
+        key,
+        type,
+        data: fromJS(data),
+        nodes: plainNodes(nodes, [...path, index])
+      });
+    })
+  );
+}
+
+function plainMark(type, value) {
+  return typeof value === "object"
+    ? new Mark({ type, data: fromJS(value) })
+    : new Mark({ type });
+}
+
+/**
+ * The document of a `value`, which is a Slate value of any version or the
+ * nodes of a plain value, or an editor holding them as its `children`.
+ *
+ * @param {Value|Array|Object} value
+ * @return {Document}
+ */
+
+export function documentOf(value) {
+  if (Array.isArray(value)) return fromPlain(value);
+  if (value.children) return fromPlain(value.children);
+  return value.document;
+}
+
+/**
+ * The leaves of the text `node`. Texts of Slate 0.46+ are a leaf of their own.
+ *
+ * @param {Text} node
+ * @return {List}
+ */
+
+export function leavesOf(node) {
+  return node.leaves ? node.getLeaves() : List.of(node);
+}
+
+function isInline(node) {
+  return node.object === "inline";
+}
+
+function flatMap(array, fn) {
+  return array.reduce((out, item) => {
+    out.push(...fn(item));
+    return out;
+  }, []);
+}
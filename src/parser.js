@@ -1,5 +1,13 @@
 import { decode } from "./urls";
 import generateHashtagRegex from "hashtag-regex";
+import yaml from "js-yaml";
+import {
+  createSource,
+  replaceSource,
+  createLocator,
+  locateSource
+} from "./positions";
+import { trimEnd } from "./utils";
 
 /**
  * Ported from:
@@ -15,6 +23,10 @@ const hashtag = new RegExp(
   generateHashtagRegex().source.replace(/^/, "^(").replace(/$/, ")")
 );
 
+// line breaks separating the blocks within a table cell, a break escaped with
+// a backslash is a literal `<br>` of the cell's text
+const BREAK = /(\\?)<br\s*\/?>/gi;
+
 const EMPTY_PARAGRAPH_NODES = [
   {
     object: "text",
@@ -45,13 +57,50 @@ const assign =
     return obj;
   };
 
+// flattens one level, without passing every item as an argument which
+// overflows the stack for long arrays
 const flatten = function(ary) {
-  return [].concat.apply([], ary);
+  const out = [];
+
+  for (let i = 0; i < ary.length; i++) {
+    if (Array.isArray(ary[i])) {
+      for (let j = 0; j < ary[i].length; j++)
+        out.push(ary[i][j]);
+    } else {
+      out.push(ary[i]);
+    }
+  }
+
+  return out;
 };
 
 const noop = function() {};
 noop.exec = noop;
 
+/**
+ * Thrown when the markdown exceeds one of the `maxLength`, `maxDepth` or
+ * `maxNodes` options, named by its `limit`, even when `silent`.
+ */
+
+function LimitError(message, limit) {
+  this.name = "LimitError";
+  this.message = message;
+  this.limit = limit;
+  this.stack = new Error(message).stack;
+}
+
+LimitError.prototype = Object.create(Error.prototype);
+LimitError.prototype.constructor = LimitError;
+
+function checkLimit(options, limit, value) {
+  if (options[limit] && value > options[limit]) {
+    throw new LimitError(
+      `The markdown exceeds the ${limit} of ${options[limit]}`,
+      limit
+    );
+  }
+}
+
 var defaults = {
   gfm: true,
   tables: true,
@@ -59,27 +108,40 @@ var defaults = {
   pedantic: false,
   smartLists: true,
   silent: false,
+  // deeper nesting would overflow the stack, the limit is lifted by Infinity
+  maxDepth: 100,
   renderer: new Renderer()
 };
 
 /**
  * Block-Level Grammar
+ *
+ * The rules are run against untrusted input, so none may match the same text
+ * in more than one way, which backtracks exponentially when the match fails.
+ * Rules that scan ahead for a closing delimiter are only tried once it is
+ * known to be there, see `findCloser`, and the lookaheads tried at every line
+ * of a block, such as `def` within lists and block quotes, end at the line.
  */
 
 var block = {
   newline: /^\n+/,
-  code: /^( {4}[^\n]+\n*)+/,
+  code: /^(?: {4}[^\n]+(?:\n+|$))+/,
   fences: noop,
+  math: noop,
   hr: /^( *[-*_]){3,} *(?:\n|$)/,
-  heading: /^ *(#{1,6}) *([^\n]+?)? *#* *(?:\n|$)/,
+  heading: /^ *(#{1,6}) *([^\n]*)(?:\n|$)/,
   nptable: noop,
+  lheading: /^([^\n]+)\n *(={2,}) *(?:\n{1,2}|$)/,
   blockquote: /^( *>[^\n]+(\n(?!def)[^\n])*(?:\n|$))+/,
-  list: /^( *)(bull) [\s\S]+?(?:hr|def|\n(?! )(?!\1bull )\n|\s*$)/,
-  def: /^ *\[([^\]]+)\]: *<?([^\s>]+)>?(?: +["(]([^\n]+)[")])? *(?:\n|$)/,
-  paragraph: /^((?:[^\n]+(?!hr|heading|blockquote|def))+)(?:\n|$)/,
+  list: /^( *)(bull) [\s\S]+?(?:hr|def|\n\n(?! )(?!\1bull )|$)/,
+  html: /^ {0,3}(?:comment[^\n]*|<\/?(?:tag)(?: |\/?>|\n|$)[^\n]*(?:\n(?!\n)[^\n]*)*)(?:\n|$)/,
+  footnote: /^ *\[\^([^\]\s]+)\]: *([^\n]*(?:\n+ {4}[^\n]*)*)(?:\n|$)/,
+  def: /^ *\[([^\]\n]+)\]: *<?([^\s>]+)>?(?: +["(]([^\n]+)[")])? *(?:\n|$)/,
+  paragraph: /^([^\n]+)(?:\n|$)/,
   text: /^[^\n]+/
 };
 
+block.frontMatter = /^---[ \t]*\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/;
 block.bullet = /(?:[*+-]|\d+\.|\[[x\s]\])/;
 block.item = /^( *)(bull) [^\n]*(?:\n(?!\1bull )[^\n]*)*/;
 block.item = replace(block.item, "gm")(/bull/g, block.bullet)();
@@ -91,10 +153,18 @@ block.list = replace(block.list)(/bull/g, block.bullet)(
 
 block.blockquote = replace(block.blockquote)("def", block.def)();
 
-block.paragraph = replace(block.paragraph)("hr", block.hr)(
-  "heading",
-  block.heading
-)("blockquote", block.blockquote)("def", block.def)();
+block._comment = /<!--[\s\S]*?-->/;
+block._tag =
+  "address|article|aside|base|basefont|blockquote|body|caption|center|col" +
+  "|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure" +
+  "|footer|form|frame|frameset|h[1-6]|head|header|hr|html|iframe|legend|li" +
+  "|link|main|menu|menuitem|meta|nav|noframes|ol|optgroup|option|p|param" +
+  "|section|source|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul";
+
+block.html = replace(block.html)("comment", block._comment)(
+  "tag",
+  block._tag
+)();
 
 /**
  * Normal Block Grammar
@@ -107,29 +177,35 @@ block.normal = assign({}, block);
  */
 
 block.gfm = assign({}, block.normal, {
-  fences: /^ *(`{3,}|~{3,})[ \.]*(\S+)? *\n([\s\S]+?)\s*\1 *(?:\n|$)/,
-  paragraph: /^/,
-  heading: /^ *(#{1,6}) +([^\n]+?)? *#* *(?:\n{1,2}|$)/
+  fences: /^ *(`{3,}(?!`)|~{3,}(?!~))[ .]*([^\s.]\S*)? *\n([\s\S](?:[\s\S]*?\S)??)\s*\1 *(?:\n|$)/,
+  heading: /^ *(#{1,6}) +([^\n]*)(?:\n{1,2}|$)/
 });
 
-block.gfm.paragraph = replace(block.paragraph)(
-  "(?!",
-  "(?!" +
-    block.gfm.fences.source.replace("\\1", "\\2") +
-    "|" +
-    block.list.source.replace("\\1", "\\3") +
-    "|"
-)();
-
 /**
  * GFM + Tables Block Grammar
  */
 
 block.tables = assign({}, block.gfm, {
-  nptable: /^ *(\S.*\|.*)\n *([-:]+ *\|[-| :]*)\n((?:.*\|.*(?:\n|$))*)/,
-  table: /^ *\|(.+)\n *\|( *[-:]+[-| :]*)\n((?: *\|.*(?:\n|$))*)/
+  nptable: /^ *(\S[^|\n]*\|.*)\n *([-:]+ *\|[-| :]*)\n((?:[^|\n]*\|.*(?:\n|$))*)/,
+  table: /^ *\|(.+)\n *\|( *[-:][-| :]*)\n((?: *\|.*(?:\n|$))*)/
 });
 
+/**
+ * Math Block Rule, enabled with `options.math`
+ */
+
+block._math = /^ *\$\$([\s\S]+?)\$\$ *(?:\n|$)/;
+
+/**
+ * Setext Heading Grammar, enabled with `options.setextHeadings`. Headings
+ * underlined with `===` are always parsed, those underlined with `---` only
+ * with the option, as a line of dashes otherwise separates paragraphs.
+ */
+
+block.setext = {
+  lheading: /^([^\n]+)\n *(={2,}|-{2,}) *(?:\n{1,2}|$)/
+};
+
 /**
  * Block Lexer
  */
@@ -137,6 +213,7 @@ block.tables = assign({}, block.gfm, {
 function Lexer(options) {
   this.tokens = [];
   this.tokens.links = {};
+  this.tokens.definitions = [];
   this.options = assign({}, options || defaults);
   this.rules = block.normal;
 
@@ -147,6 +224,22 @@ function Lexer(options) {
       this.rules = block.gfm;
     }
   }
+
+  if (this.options.math) {
+    this.rules = assign({}, this.rules, { math: block._math });
+  }
+
+  if (this.options.setextHeadings) {
+    this.rules = assign({}, this.rules, block.setext);
+  }
+
+  this.extensions = getExtensions(this.options, "block");
+  this.tokenizers = extendTokenizers(
+    blockTokenizers,
+    this.extensions,
+    blockExtensionTokenizer
+  );
+  this.order = orderTokenizers(Object.keys(blockTokenizers), this.extensions);
 }
 
 /**
@@ -169,339 +262,815 @@ Lexer.parse = function(src, options) {
  */
 
 Lexer.prototype.parse = function(src) {
-  src = src
-    .replace(/\r\n|\r/g, "\n")
-    .replace(/\t/g, "    ")
-    .replace(/\u00a0/g, " ")
-    .replace(/\u2424/g, "\n");
+  var source = createSource(src, !!this.options.sourcePositions);
+
+  if (source.offsets) {
+    this.locate = this.tokens.locate = createLocator(src);
+  }
+
+  source = replaceSource(source, /\r\n|\r/g, "\n");
+  source = replaceSource(source, /\t/g, "    ");
+  source = replaceSource(source, /\u00a0/g, " ");
+  source = replaceSource(source, /\u2424/g, "\n");
+  if (this.options.frontMatter) source = this.frontMatter(source);
+
+  return this.token(source.text, true, false, source.offsets);
+};
+
+/**
+ * Front Matter
+ *
+ * With `options.frontMatter`, a leading block of YAML between `---` lines is
+ * parsed onto `tokens` and removed from the source, as long as it contains a
+ * mapping of keys.
+ */
+
+Lexer.prototype.frontMatter = function(source) {
+  var cap = block.frontMatter.exec(source.text);
+  var data;
+
+  if (!cap) return source;
+
+  try {
+    // the core schema leaves dates as strings so they are written back as-is
+    data = yaml.safeLoad(cap[1], { schema: yaml.CORE_SCHEMA });
+  } catch (err) {
+    return source;
+  }
 
-  return this.token(src, true);
+  if (!data || typeof data !== "object" || Array.isArray(data)) return source;
+
+  this.tokens.frontMatter = data;
+  return {
+    text: source.text.substring(cap[0].length),
+    offsets: source.offsets && source.offsets.slice(cap[0].length)
+  };
 };
 
 /**
  * Lexing
  */
 
-Lexer.prototype.token = function(src, top, bq) {
-  var next;
-  var loose;
-  var cap;
-  var bull;
-  var b;
-  var item;
-  var space;
-  var i;
-  var l;
+Lexer.prototype.token = function(src, top, bq, offsets) {
+  var rest;
+  var source = { text: src, offsets: this.locate && offsets };
+  var saved = {
+    offsets: this.offsets,
+    index: this.index,
+    input: this.input,
+    end: this.end,
+    closers: this.closers,
+    depth: this.depth,
+    first: this.first
+  };
 
-  src = src.replace(/^ +$/gm, "");
-  src = src.replace(/^\n/, "");
+  source = replaceSource(source, /^ +$/gm, "");
+  source = replaceSource(source, /^\n/, "");
+  src = source.text;
+
+  // `offsets` of the source being lexed and the position reached within it,
+  // tokenizers are given the rest of the source from that position. The rest
+  // is a substring sharing the input, which engines slice without copying,
+  // and the anchored rules only read the text they match, so each token costs
+  // its own length as it would matching sticky patterns at the position.
+  // Rules that would scan past their match look for their closer once, with
+  // `findCloser`, rather than from every position.
+  this.offsets = source.offsets;
+  this.index = 0;
+  this.input = src;
+
+  // where only white space is left in the source, and the closing delimiters
+  // found within it
+  this.end = trimEnd(src).length;
+  this.closers = {};
+  this.depth = saved.depth === undefined ? 0 : saved.depth + 1;
+  checkLimit(this.options, "maxDepth", this.depth);
 
   while (src) {
-    // newline
-    if ((cap = this.rules.newline.exec(src))) {
-      src = src.substring(cap[0].length);
-      const newlines = cap[0].length;
-
-      if (top) {
-        for (let i = 0; i < newlines; i++) {
-          this.tokens.push({
-            type: "paragraph",
-            text: ""
-          });
-        }
-      }
-    }
+    // the first token pushed by the tokenizer, see `dropBlankLine`
+    this.first = this.tokens.length;
+    rest = this.tokenize(src, top, bq);
 
-    // code
-    if ((cap = this.rules.code.exec(src))) {
-      src = src.substring(cap[0].length);
-      cap = cap[0].replace(/^ {4}/gm, "");
-      this.tokens.push({
-        type: "code",
-        text: !this.options.pedantic ? cap.replace(/\n+$/, "") : cap
-      });
-      continue;
+    if (rest === undefined) {
+      throw new Error("Infinite loop on byte: " + src.charCodeAt(0));
     }
 
-    // fences (gfm)
-    if ((cap = this.rules.fences.exec(src))) {
-      src = src.substring(cap[0].length);
-      this.tokens.push({
-        type: "code",
-        lang: cap[2],
-        text: cap[3]
-      });
-      continue;
+    if (this.offsets) {
+      this.position(this.first, src.substring(0, src.length - rest.length));
     }
 
-    // heading
-    if ((cap = this.rules.heading.exec(src))) {
-      src = src.substring(cap[0].length);
+    this.index += src.length - rest.length;
+    src = rest;
+  }
 
-      const last = this.tokens[this.tokens.length - 1];
-      if (last && last.type === "paragraph" && last.text === "") {
-        this.tokens.splice(-1, 1);
-      }
+  assign(this, saved);
 
-      this.tokens.push({
-        type: "heading",
-        depth: cap[1].length,
-        text: cap[2]
-      });
-      continue;
-    }
+  return this.tokens;
+};
 
-    // table no leading pipe (gfm)
-    if (top && (cap = this.rules.nptable.exec(src))) {
-      src = src.substring(cap[0].length);
+/**
+ * Source Positions
+ *
+ * Tokens pushed since `count` are given the position of `text`, the source
+ * just consumed, unless they were positioned by a nested call to `token`.
+ */
 
-      item = {
-        type: "table",
-        header: splitCells(cap[1].replace(/^ *| *\| *$/g, "")),
-        align: cap[2].replace(/^ *|\| *$/g, "").split(/ *\| */),
-        cells: cap[3].replace(/\n$/, "").split("\n")
-      };
+Lexer.prototype.position = function(count, text) {
+  var position = locateSource(this.locate, this.source(text, 0));
+  var i = count;
 
-      for (i = 0; i < item.align.length; i++) {
-        if (/^ *-+: *$/.test(item.align[i])) {
-          item.align[i] = "right";
-        } else if (/^ *:-+: *$/.test(item.align[i])) {
-          item.align[i] = "center";
-        } else if (/^ *:-+ *$/.test(item.align[i])) {
-          item.align[i] = "left";
-        } else {
-          item.align[i] = null;
-        }
-      }
+  for (; i < this.tokens.length; i++) {
+    if (!this.tokens[i].position) this.tokens[i].position = position;
+  }
+};
 
-      for (i = 0; i < item.cells.length; i++) {
-        item.cells[i] = splitCells(item.cells[i]);
-      }
+/**
+ * The part of the source being lexed that `text` was read from, found
+ * `index` characters past the current position, along with its offsets.
+ */
 
-      this.tokens.push(item);
+Lexer.prototype.source = function(text, index) {
+  var start = this.index + index;
 
-      continue;
-    }
+  return {
+    text,
+    offsets: this.offsets && this.offsets.slice(start, start + text.length + 1)
+  };
+};
 
-    // hr
-    if ((cap = this.rules.hr.exec(src))) {
-      src = src.substring(cap[0].length);
-      this.tokens.push({
-        type: "hr"
-      });
-      continue;
-    }
+/**
+ * Whether the global pattern `closer` matches `index` characters or more past
+ * the current position, for a rule that scans ahead for it. See `findCloser`.
+ */
 
-    // blockquote
-    if ((cap = this.rules.blockquote.exec(src))) {
-      src = src.substring(cap[0].length);
+Lexer.prototype.closes = function(key, closer, index) {
+  return !!findCloser(this, key, closer, this.index + index);
+};
 
-      this.tokens.push({
-        type: "blockquote_start"
-      });
+/**
+ * Append the `text` of the line at the start of `src` to the paragraph or
+ * text token of the line before, when that line ended in a hard break or soft
+ * breaks are kept. The lines are joined by a new line.
+ */
 
-      cap = cap[0].replace(/^ *> ?/gm, "");
+Lexer.prototype.continueLine = function(src, text) {
+  var last = this.lastLine;
+  var token = this.tokens[this.tokens.length - 1];
 
-      // Pass `top` to keep the current
-      // "toplevel" state. This is exactly
-      // how markdown.pl works.
-      this.token(cap, top, true);
+  // the line must directly follow the last one, with nothing in between
+  if (!last || last.token !== token || last.src.length !== src.length) {
+    return false;
+  }
+  if (!this.options.softBreaks && !endsInHardBreak(last.text)) return false;
 
-      this.tokens.push({
-        type: "blockquote_end"
-      });
+  const line = this.inlineSource({ text }, 0);
+  if (token.textOffsets) {
+    token.textOffsets = token.textOffsets.concat(line.textOffsets);
+  }
+  if (token.position) {
+    token.position.end = locateSource(this.locate, this.source(text, 0)).end;
+  }
+  token.text += `\n${text}`;
+  return true;
+};
 
-      continue;
-    }
+/**
+ * Keep the offsets of the inline text of `token`, found `index` characters
+ * past the current position, when inline nodes are positioned too.
+ */
 
-    // list
-    if ((cap = this.rules.list.exec(src))) {
-      src = src.substring(cap[0].length);
-      bull = cap[2];
-      let ordered = bull.length > 1;
-      let todo = bull[0] === "[";
+Lexer.prototype.inlineSource = function(token, index) {
+  if (this.offsets && this.options.sourcePositions === "inline") {
+    token.textOffsets = this.source(token.text, index).offsets;
+  }
+  return token;
+};
 
-      this.tokens.push({
-        type: "list_start",
-        style: todo ? "todo" : ordered ? "ordered" : "bulleted"
-      });
+/**
+ * Drop the empty paragraph of the blank line before a heading, which takes
+ * its place, so that the heading is the first token pushed.
+ */
 
-      // Get each top-level item.
-      cap = cap[0].match(this.rules.item);
-
-      next = false;
-      l = cap.length;
-      i = 0;
-
-      for (; i < l; i++) {
-        item = cap[i];
-
-        // Remove the list item's bullet
-        // so it is seen as the next token.
-        let checked = todo ? !!item.match(/^ *(\[x\])/) : undefined;
-        space = item.length;
-        item = item.replace(/^ *([*+-]|\d+\.|\[[x\s]\]) +/, "");
-
-        // Outdent whatever the
-        // list item contains. Hacky.
-        if (~item.indexOf("\n ")) {
-          space -= item.length;
-          item = !this.options.pedantic
-            ? item.replace(new RegExp("^ {1," + space + "}", "gm"), "")
-            : item.replace(/^ {1,4}/gm, "");
-        }
+Lexer.prototype.dropBlankLine = function() {
+  var last = this.tokens[this.tokens.length - 1];
 
-        // Determine whether the next list item belongs here.
-        // Backpedal if it does not belong in this list.
-        if (this.options.smartLists && i !== l - 1) {
-          b = block.bullet.exec(cap[i + 1])[0];
-          if (bull !== b && !(bull.length > 1 && b.length > 1)) {
-            src = cap.slice(i + 1).join("\n") + src;
-            i = l - 1;
-          }
-        }
+  if (last && last.type === "paragraph" && last.text === "") {
+    this.tokens.pop();
+    this.first = Math.min(this.first, this.tokens.length);
+  }
+};
 
-        // Determine whether item is loose or not.
-        // Use: /(^|\n)(?! )[^\n]+\n\n(?!\s*$)/
-        // for discount behavior.
-        loose = next || /\n\n(?!\s*$)/.test(item);
-        if (i !== l - 1) {
-          next = item.charAt(item.length - 1) === "\n";
-          if (!loose) {
-            loose = next;
-          }
-        }
+/**
+ * Positions of the header and body rows of the table in `text`.
+ */
 
-        this.tokens.push({
-          checked,
-          type: loose ? "loose_item_start" : "list_item_start"
-        });
+Lexer.prototype.rowPositions = function(text) {
+  var rows = [];
+  var index = 0;
+
+  trimEnd(text, /\n/).split("\n").forEach(line => {
+    rows.push(locateSource(this.locate, this.source(line, index)));
+    index += line.length + 1;
+  });
+
+  // leave out the delimiter row
+  rows.splice(1, 1);
+  return rows;
+};
+
+/**
+ * Offsets of the text of each cell of the table in `text`, by row, found
+ * from the `rows` of cell text split from it. Cells whose text is not found
+ * as it was written are left without offsets.
+ */
+
+Lexer.prototype.cellOffsets = function(text, rows) {
+  var out = [];
+  var index = 0;
+
+  trimEnd(text, /\n/).split("\n").forEach((line, i) => {
+    // the delimiter row has no cells
+    if (i !== 1) out.push(this.lineCellOffsets(line, index, rows[out.length]));
+    index += line.length + 1;
+  });
+
+  return out;
+};
+
+Lexer.prototype.lineCellOffsets = function(line, index, cells) {
+  var cursor = /^ *\|?/.exec(line)[0].length;
+
+  return cells.map(cell => {
+    const written = cell.replace(/\|/g, "\\|");
+    const at = line.indexOf(written, cursor);
+    if (at === -1) return;
+
+    const pipe = line.indexOf("|", at + written.length);
+    cursor = pipe === -1 ? line.length : pipe + 1;
 
-        // Recurse.
-        this.token(item, false, bq);
+    return replaceSource(this.source(written, index + at), /\\\|/g, "|")
+      .offsets;
+  });
+};
+
+/**
+ * Lex Into A Separate Token List
+ */
+
+Lexer.prototype.blockTokens = function(src, top) {
+  var tokens = this.tokens;
+
+  this.tokens = [];
+  this.tokens.links = tokens.links;
+  this.tokens.definitions = tokens.definitions;
+  var out = this.token(src, top);
+  this.tokens = tokens;
+
+  return out;
+};
+
+/**
+ * Run Tokenizers In Order
+ */
+
+Lexer.prototype.tokenize = function(src, top, bq) {
+  var rest;
+  var i = 0;
+
+  for (; i < this.order.length; i++) {
+    rest = this.tokenizers[this.order[i]].call(this, src, top, bq);
+    if (rest !== undefined) return rest;
+  }
+};
+
+/**
+ * Block Tokenizers
+ *
+ * Each tokenizer is called with the remaining source, pushes any tokens it
+ * recognises and returns the source left to lex, or `undefined` when it
+ * does not match.
+ */
+
+var blockTokenizers = {
+  newline: function(src, top) {
+    var cap = this.rules.newline.exec(src);
+    if (!cap) return;
+
+    const newlines = cap[0].length;
 
+    if (top) {
+      for (let i = 0; i < newlines; i++) {
         this.tokens.push({
-          type: "list_item_end"
+          type: "paragraph",
+          text: ""
         });
       }
+    }
 
-      this.tokens.push({
-        type: "list_end"
-      });
+    return src.substring(cap[0].length);
+  },
+
+  code: function(src) {
+    var cap = this.rules.code.exec(src);
+    if (!cap) return;
 
-      continue;
+    src = src.substring(cap[0].length);
+    cap = cap[0].replace(/^ {4}/gm, "");
+    this.tokens.push({
+      type: "code",
+      text: !this.options.pedantic ? trimEnd(cap, /\n/) : cap
+    });
+    return src;
+  },
+
+  fences: function(src) {
+    var open = /^ *(`{3,}(?!`)|~{3,}(?!~))[^\n]*\n/.exec(src);
+    var cap;
+
+    // the fence is closed by a line of the same fence after the content
+    if (
+      !open ||
+      !this.closes(
+        open[1],
+        new RegExp(`${open[1]} *(?:\\n|$)`, "g"),
+        open[0].length + 1
+      ) ||
+      !(cap = this.rules.fences.exec(src))
+    ) {
+      return;
     }
 
-    // def
-    if (!bq && top && (cap = this.rules.def.exec(src))) {
-      src = src.substring(cap[0].length);
-      this.tokens.links[cap[1].toLowerCase()] = {
-        href: cap[2],
-        title: cap[3]
-      };
-      continue;
+    this.tokens.push({
+      type: "code",
+      lang: cap[2],
+      fence: cap[1],
+      text: cap[3]
+    });
+    return src.substring(cap[0].length);
+  },
+
+  math: function(src) {
+    var open = /^ *\$\$/.exec(src);
+    var cap;
+
+    if (
+      !open ||
+      !this.closes("$$", /\$\$ *(?:\n|$)/g, open[0].length + 1) ||
+      !(cap = this.rules.math.exec(src))
+    ) {
+      return;
     }
 
-    // table (gfm)
-    if (top && (cap = this.rules.table.exec(src))) {
-      src = src.substring(cap[0].length);
+    this.tokens.push({
+      type: "math",
+      text: cap[1].trim()
+    });
+    return src.substring(cap[0].length);
+  },
+
+  heading: function(src) {
+    var cap = this.rules.heading.exec(src);
+    if (!cap) return;
+
+    // without the closing hashes and the spaces around them
+    const text = trimEnd(trimEnd(trimEnd(cap[2], / /), /#/), / /);
+
+    this.dropBlankLine();
+
+    this.tokens.push(
+      this.inlineSource(
+        {
+          type: "heading",
+          depth: cap[1].length,
+          text: text || undefined,
+          // `# Heading #`
+          closed: !!text && / #+ *\n*$/.test(cap[0])
+        },
+        text ? cap[0].indexOf(text, cap[1].length) : 0
+      )
+    );
+    return src.substring(cap[0].length);
+  },
+
+  nptable: function(src, top) {
+    var cap;
+    var item;
+    var i;
+
+    if (!top || !(cap = this.rules.nptable.exec(src))) return;
+
+    item = {
+      type: "table",
+      header: splitCells(trimPipe(cap[1].replace(/^ */, ""))),
+      align: cap[2].replace(/^ *|\| *$/g, "").split("|"),
+      cells: cap[3].replace(/\n$/, "").split("\n")
+    };
+
+    for (i = 0; i < item.align.length; i++) {
+      if (/^ *-+: *$/.test(item.align[i])) {
+        item.align[i] = "right";
+      } else if (/^ *:-+: *$/.test(item.align[i])) {
+        item.align[i] = "center";
+      } else if (/^ *:-+ *$/.test(item.align[i])) {
+        item.align[i] = "left";
+      } else {
+        item.align[i] = null;
+      }
+    }
 
-      item = {
-        type: "table",
-        header: splitCells(cap[1].replace(/^ *| *\| *$/g, "")),
-        align: cap[2].replace(/^ *|\| *$/g, "").split(/ *\| */),
-        cells: cap[3].replace(/(?: *\| *)?\n$/, "").split("\n")
-      };
+    for (i = 0; i < item.cells.length; i++) {
+      item.cells[i] = splitCells(item.cells[i]);
+    }
 
-      for (i = 0; i < item.align.length; i++) {
-        if (/^ *-+: *$/.test(item.align[i])) {
-          item.align[i] = "right";
-        } else if (/^ *:-+: *$/.test(item.align[i])) {
-          item.align[i] = "center";
-        } else if (/^ *:-+ *$/.test(item.align[i])) {
-          item.align[i] = "left";
-        } else {
-          item.align[i] = null;
+    if (this.offsets) {
+      item.rows = this.rowPositions(cap[0]);
+      item.cellOffsets = this.cellOffsets(cap[0], [item.header, ...item.cells]);
+    }
+    this.tokens.push(item);
+
+    return src.substring(cap[0].length);
+  },
+
+  lheading: function(src) {
+    var cap = this.rules.lheading.exec(src);
+    if (!cap) return;
+
+    this.dropBlankLine();
+
+    this.tokens.push(
+      this.inlineSource(
+        {
+          type: "heading",
+          depth: cap[2].charAt(0) === "=" ? 1 : 2,
+          text: cap[1],
+          setext: true
+        },
+        0
+      )
+    );
+    return src.substring(cap[0].length);
+  },
+
+  hr: function(src) {
+    var cap = this.rules.hr.exec(src);
+    if (!cap) return;
+
+    this.tokens.push({
+      type: "hr"
+    });
+    return src.substring(cap[0].length);
+  },
+
+  blockquote: function(src, top) {
+    var cap = this.rules.blockquote.exec(src);
+    if (!cap) return;
+
+    src = src.substring(cap[0].length);
+
+    this.tokens.push({
+      type: "blockquote_start"
+    });
+
+    cap = replaceSource(this.source(cap[0], 0), /^ *> ?/gm, "");
+
+    // Pass `top` to keep the current
+    // "toplevel" state. This is exactly
+    // how markdown.pl works.
+    this.token(cap.text, top, true, cap.offsets);
+
+    this.tokens.push({
+      type: "blockquote_end"
+    });
+
+    return src;
+  },
+
+  list: function(src, top, bq) {
+    var next;
+    var loose;
+    var bull;
+    var b;
+    var item;
+    var space;
+    var source;
+    var position;
+    var raw;
+    var index;
+    var i;
+    var l;
+    var end = Math.max(this.end - this.index, 0);
+
+    // the list is matched without the white space at the end of the source,
+    // which it takes when it reaches that far, unless a blank line ends it
+    var cap = this.rules.list.exec(src.substring(0, end));
+    if (!cap) return;
+
+    raw = cap[0];
+    if (raw.length === end) {
+      raw = /^\n\n(?! )/.test(src.substring(end))
+        ? src.substring(0, end + 2)
+        : src;
+    }
+
+    src = src.substring(raw.length);
+    bull = cap[2];
+    let ordered = bull.length > 1;
+    let todo = bull[0] === "[";
+
+    const listStart = {
+      type: "list_start",
+      style: todo ? "todo" : ordered ? "ordered" : "bulleted",
+      start: ordered && !todo ? parseInt(bull, 10) : undefined,
+      bullet: ordered ? undefined : bull,
+      loose: false
+    };
+    this.tokens.push(listStart);
+
+    // Get each top-level item.
+    cap = raw.match(this.rules.item);
+
+    next = false;
+    index = 0;
+    l = cap.length;
+    i = 0;
+
+    for (; i < l; i++) {
+      item = cap[i];
+      index = raw.indexOf(item, index);
+      source = this.source(item, index);
+      const indent = /^ */.exec(item)[0].length;
+      position =
+        this.offsets &&
+        locateSource(
+          this.locate,
+          this.source(item.slice(indent), index + indent)
+        );
+      index += item.length;
+
+      // Remove the list item's bullet
+      // so it is seen as the next token.
+      let checked = todo ? !!item.match(/^ *(\[x\])/) : undefined;
+      space = item.length;
+      source = replaceSource(source, /^ *([*+-]|\d+\.|\[[x\s]\]) +/, "");
+
+      // Outdent whatever the
+      // list item contains. Hacky.
+      if (~source.text.indexOf("\n ")) {
+        space -= source.text.length;
+        source = !this.options.pedantic
+          ? replaceSource(source, new RegExp("^ {1," + space + "}", "gm"), "")
+          : replaceSource(source, /^ {1,4}/gm, "");
+      }
+      item = source.text;
+
+      // Determine whether the next list item belongs here.
+      // Backpedal if it does not belong in this list.
+      if (this.options.smartLists && i !== l - 1) {
+        b = block.bullet.exec(cap[i + 1])[0];
+        if (bull !== b && !(bull.length > 1 && b.length > 1)) {
+          src = cap.slice(i + 1).join("\n") + src;
+          i = l - 1;
         }
       }
 
-      for (i = 0; i < item.cells.length; i++) {
-        item.cells[i] = splitCells(
-          item.cells[i].replace(/^ *\| *| *\| *$/g, "")
-        );
+      // Determine whether item is loose or not.
+      // Use: /(^|\n)(?! )[^\n]+\n\n(?!\s*$)/
+      // for discount behavior.
+      loose = next || /\n\n(?!\s*$)/.test(item);
+      if (i !== l - 1) {
+        next = item.charAt(item.length - 1) === "\n";
+        if (!loose) {
+          loose = next;
+        }
       }
 
-      this.tokens.push(item);
+      // a list is loose as soon as any of its items is
+      if (loose) listStart.loose = true;
+
+      this.tokens.push({
+        checked,
+        type: loose ? "loose_item_start" : "list_item_start",
+        position
+      });
+
+      // Recurse.
+      this.token(item, false, bq, source.offsets);
 
-      continue;
+      this.tokens.push({
+        type: "list_item_end"
+      });
     }
 
-    // top-level paragraph
-    if (top && (cap = this.rules.paragraph.exec(src))) {
-      src = src.substring(cap[0].length);
-      const endsWithNewline = cap[1].charAt(cap[1].length - 1) === "\n";
+    this.tokens.push({
+      type: "list_end"
+    });
+
+    return src;
+  },
+
+  html: function(src) {
+    var comment = /^ {0,3}<!--/.exec(src);
+    var cap;
+
+    if (!this.options.html) return;
+    if (comment && !this.closes("<!--", /-->/g, comment[0].length)) return;
+    if (!(cap = this.rules.html.exec(src))) return;
+
+    if (this.options.html !== "strip") {
       this.tokens.push({
-        type: "paragraph",
-        text: endsWithNewline ? cap[1].slice(0, -1) : cap[1]
+        type: "html",
+        text: trimEnd(cap[0], /\n/)
       });
-      if (endsWithNewline) {
-        this.tokens.push({
-          type: "paragraph",
-          text: ""
-        });
+    }
+    return src.substring(cap[0].length);
+  },
+
+  footnote: function(src, top, bq) {
+    var cap;
+
+    if (bq || !top || !(cap = this.rules.footnote.exec(src))) return;
+
+    this.tokens.push({
+      type: "footnote_start",
+      label: cap[1]
+    });
+
+    // Outdent the continuation lines of the definition
+    const body = replaceSource(
+      this.source(cap[2], cap[0].indexOf(cap[2], cap[0].indexOf("]:"))),
+      /^ {4}/gm,
+      ""
+    );
+    this.token(body.text, false, false, body.offsets);
+
+    this.tokens.push({
+      type: "footnote_end"
+    });
+
+    return src.substring(cap[0].length);
+  },
+
+  def: function(src, top, bq) {
+    var cap;
+
+    if (bq || !top || !(cap = this.rules.def.exec(src))) return;
+
+    const definition = {
+      label: cap[1],
+      href: cap[2],
+      title: cap[3]
+    };
+
+    this.tokens.links[cap[1].toLowerCase()] = definition;
+    this.tokens.definitions.push(definition);
+    return src.substring(cap[0].length);
+  },
+
+  table: function(src, top) {
+    var cap;
+    var item;
+    var i;
+
+    if (!top || !(cap = this.rules.table.exec(src))) return;
+
+    item = {
+      type: "table",
+      header: splitCells(trimPipe(cap[1].replace(/^ */, ""))),
+      align: cap[2].replace(/^ *|\| *$/g, "").split("|"),
+      cells: (/\n$/.test(cap[3])
+        ? trimPipe(cap[3].slice(0, -1))
+        : cap[3]).split("\n")
+    };
+
+    for (i = 0; i < item.align.length; i++) {
+      if (/^ *-+: *$/.test(item.align[i])) {
+        item.align[i] = "right";
+      } else if (/^ *:-+: *$/.test(item.align[i])) {
+        item.align[i] = "center";
+      } else if (/^ *:-+ *$/.test(item.align[i])) {
+        item.align[i] = "left";
+      } else {
+        item.align[i] = null;
       }
-      continue;
     }
 
-    // text
-    if ((cap = this.rules.text.exec(src))) {
-      // Top-level should never reach here.
-      src = src.substring(cap[0].length);
+    for (i = 0; i < item.cells.length; i++) {
+      item.cells[i] = splitCells(
+        trimPipe(item.cells[i].replace(/^ *\| */, ""))
+      );
+    }
+
+    if (this.offsets) {
+      item.rows = this.rowPositions(cap[0]);
+      item.cellOffsets = this.cellOffsets(cap[0], [item.header, ...item.cells]);
+    }
+    this.tokens.push(item);
+
+    return src.substring(cap[0].length);
+  },
+
+  // top-level paragraph
+  paragraph: function(src, top) {
+    var cap;
+
+    if (!top || !(cap = this.rules.paragraph.exec(src))) return;
+
+    const endsWithNewline = cap[1].charAt(cap[1].length - 1) === "\n";
+    const text = endsWithNewline ? cap[1].slice(0, -1) : cap[1];
+
+    if (!this.continueLine(src, text)) {
+      this.tokens.push(this.inlineSource({ type: "paragraph", text }, 0));
+    }
+    src = src.substring(cap[0].length);
+    this.lastLine = { token: this.tokens[this.tokens.length - 1], text, src };
+
+    if (endsWithNewline) {
       this.tokens.push({
-        type: "text",
-        text: cap[0]
+        type: "paragraph",
+        text: ""
       });
-      continue;
     }
+    return src;
+  },
 
-    if (src) {
-      throw new Error("Infinite loop on byte: " + src.charCodeAt(0));
+  text: function(src) {
+    var cap = this.rules.text.exec(src);
+    if (!cap) return;
+
+    // Top-level should never reach here.
+    if (!this.continueLine(src, cap[0])) {
+      this.tokens.push(this.inlineSource({ type: "text", text: cap[0] }, 0));
     }
+    src = src.substring(cap[0].length);
+
+    // the new line after the text is left to the newline tokenizer
+    this.lastLine = {
+      token: this.tokens[this.tokens.length - 1],
+      text: cap[0],
+      src: src.replace(/^\n/, "")
+    };
+    return src;
   }
-
-  return this.tokens;
 };
 
+/**
+ * Expose Block Tokenizers
+ */
+
+Lexer.tokenizers = blockTokenizers;
+
 /**
  * Inline-Level Grammar
  */
 
 var inline = {
   escape: /^\\([\\`*{}\[\]()#+\-.!_>])/,
+  autolink: /^<(scheme:[^\s\x00-\x1f<>]*|email)>/,
+  url: noop,
+  html: /^comment|^<\/?[a-zA-Z][\w-]*(?:attribute)*\s*\/?>/,
   link: /^!?\[(inside)\]\(href\)/,
   hashtag,
+  footnote: /^\[\^([^\]\s]+)\]/,
   reflink: /^!?\[(inside)\]\s*\[([^\]]*)\]/,
-  nolink: /^!?\[((?:\[[^\]]*\]|[^\[\]])*)\]/,
+  nolink: /^!?\[((?:\[[^\[\]]*\]|[^\[\]])*)\]/,
   strong: /^\*\*([\s\S]+?)\*\*(?!\*)/,
   underlined: /^__([\s\S]+?)__(?!_)/,
-  em: /^\b_((?:__|[\s\S])+?)_\b|^\*((?:\*\*|[\s\S])+?)\*(?!\*)/,
-  code: /^(`+)\s*([\s\S]*?[^`])\s*\1(?!`)/,
-  br: /^ {2,}\n(?!\s*$)/,
+  em: /^\b_((?:__|[^_]|_(?!_))+?)_\b|^\*((?:\*\*|[^*]|\*(?!\*))+?)\*(?!\*)/,
+  code: /^(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/,
+  math: noop,
+  br: /^(?: {2,}|\\)\n(?!\s*$)/,
   del: noop,
   ins: noop,
-  text: /^[\s\S]+?(?=[\\<!\[_*#`]| {2,}\n|$)/
+  text: /^(?: +|[^ ])+?(?=[\\<!\[_*#`]| {2,}\n|$)/
 };
 
-inline._inside = /(?:\[[^\]]*\]|[^\[\]]|\](?=[^\[]*\]))*/;
-inline._href = /\s*<?([\s\S]*?)>?(?:\s+['"]([\s\S]*?)['"])?\s*/;
+inline._inside = /(?:\[[^\[\]]*\]|[^\[\]]|\](?=[^\[\]]*\]))*/;
+inline._href = /\s*(?=\S)<?([^\s<>]*?)>?(?:\s+(?:"((?:\\[\s\S]|[^"\\])*)"|'((?:\\[\s\S]|[^'\\])*)'))?\s*/;
 
 inline.link = replace(inline.link)("inside", inline._inside)(
   "href",
   inline._href
 )();
 
+inline.linkOpen = replace(/^!?\[(inside)\]\(/)("inside", inline._inside)();
+
 inline.reflink = replace(inline.reflink)("inside", inline._inside)();
 
+inline._scheme = /[a-zA-Z][a-zA-Z0-9+.-]{1,31}/;
+inline._email = /[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]{1,64}(@)[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+(?![-_])/;
+
+inline._attribute = /\s+[a-zA-Z_:][\w:.-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?/;
+
+inline.html = replace(inline.html)("comment", block._comment)(
+  "attribute",
+  inline._attribute
+)();
+
+inline.autolink = replace(inline.autolink)("scheme", inline._scheme)(
+  "email",
+  inline._email
+)();
+
 /**
  * Normal Inline Grammar
  */
@@ -523,11 +1092,17 @@ inline.pedantic = assign({}, inline.normal, {
 
 inline.gfm = assign({}, inline.normal, {
   escape: replace(inline.escape)("])", "~|])")(),
+  url: /^((?:ftp|https?):\/\/|www\.)[a-zA-Z0-9-][^\s<]*|^email/,
   del: /^~~(?=\S)([\s\S]*?\S)~~/,
   ins: /^\+\+(?=\S)([\s\S]*?\S)\+\+/,
-  text: replace(inline.text)("]|", "~+]|")()
+  text: replace(inline.text)(
+    "]|",
+    "~+]|https?:\\/\\/|ftp:\\/\\/|www\\.|\\b[a-zA-Z0-9._+-]{1,64}@[a-zA-Z0-9-]{1,63}\\.|"
+  )()
 });
 
+inline.gfm.url = replace(inline.gfm.url)("email", inline._email)();
+
 /**
  * GFM + Line Breaks Inline Grammar
  */
@@ -537,6 +1112,41 @@ inline.breaks = assign({}, inline.gfm, {
   text: replace(inline.gfm.text)("{2,}", "*")()
 });
 
+/**
+ * Math Inline Grammar, enabled with `options.math`. A closing dollar followed
+ * by a digit does not end the math so that prices are left alone.
+ */
+
+inline._math = /^\$(?=\S)((?:\\[\s\S]|[^\\$\n])*?[^\s\\])\$(?!\d)/;
+
+function mathRules(rules) {
+  return assign({}, rules, {
+    math: inline._math,
+    escape: replace(rules.escape)("])", "$])")(),
+    text: replace(rules.text)("]|", "$]|")()
+  });
+}
+
+/**
+ * Closing Delimiters of the inline rules that scan ahead for them, by the
+ * delimiter they open with, see `InlineLexer.prototype.opens`
+ */
+
+var closers = {
+  "[": /\]/g,
+  "![": /\]/g,
+  "**": /\*\*(?!\*)/g,
+  __: /__(?!_)/g,
+  "*": /\*(?!\*)/g,
+  _: /_(?!\w)/g,
+  "~~": /\S~~/g,
+  "++": /\S\+\+/g
+};
+
+closers.pedantic = {
+  _: /_(?!_)/g
+};
+
 /**
  * Inline Lexer & Compiler
  */
@@ -547,175 +1157,488 @@ function InlineLexer(links, options) {
   this.rules = inline.normal;
   this.renderer = this.options.renderer || new Renderer();
   this.renderer.options = this.options;
+  this.nodes = 0;
+
+  if (!this.links) {
+    throw new Error("Tokens array requires a `links` property.");
+  }
+
+  if (this.options.gfm) {
+    if (this.options.breaks) {
+      this.rules = inline.breaks;
+    } else {
+      this.rules = inline.gfm;
+    }
+  } else if (this.options.pedantic) {
+    this.rules = inline.pedantic;
+  }
+
+  if (this.options.math) {
+    this.rules = mathRules(this.rules);
+  }
+
+  this.extensions = getExtensions(this.options, "inline");
+  this.tokenizers = extendTokenizers(
+    inlineTokenizers,
+    this.extensions,
+    inlineExtensionTokenizer
+  );
+  this.order = orderTokenizers(Object.keys(inlineTokenizers), this.extensions);
+}
+
+/**
+ * Expose Inline Rules
+ */
+
+InlineLexer.rules = inline;
+
+/**
+ * Static Lexing/Compiling Method
+ */
+
+InlineLexer.parse = function(src, links, options) {
+  var inline = new InlineLexer(links, options);
+  return inline.parse(src);
+};
+
+/**
+ * Lexing/Compiling
+ */
+
+InlineLexer.prototype.parse = function(src, offsets) {
+  var out = [];
+  var saved = {
+    offsets: this.offsets,
+    index: this.index,
+    input: this.input,
+    closers: this.closers,
+    depth: this.depth
+  };
+  var count;
+  var rest;
+  var i;
+
+  // `offsets` of the source being lexed and the position reached within it,
+  // tokenizers are given the rest of the source from that position, see
+  // `Lexer.prototype.token`
+  this.offsets = this.locate && offsets;
+  this.index = 0;
+  this.input = src;
+  this.closers = {};
+  this.depth = saved.depth === undefined ? 0 : saved.depth + 1;
+  checkLimit(this.options, "maxDepth", this.depth);
+
+  outer: while (src) {
+    for (i = 0; i < this.order.length; i++) {
+      count = out.length;
+      rest = this.tokenizers[this.order[i]].call(this, src, out);
+      if (rest !== undefined) {
+        this.count(out.length - count);
+        if (this.offsets) {
+          this.position(out, count, src.length - rest.length);
+        }
+        this.index += src.length - rest.length;
+        src = rest;
+        continue outer;
+      }
+    }
+
+    throw new Error("Infinite loop on byte: " + src.charCodeAt(0));
+  }
+
+  assign(this, saved);
+
+  return out.map(node => {
+    if (!node || node.object !== "inline") return node;
+    return applyRules(this.options.rules, node, this) || node;
+  });
+};
+
+/**
+ * Count `n` more nodes of the document against `options.maxNodes`.
+ */
+
+InlineLexer.prototype.count = function(n) {
+  this.nodes += n;
+  checkLimit(this.options, "maxNodes", this.nodes);
+};
+
+/**
+ * Source Positions
+ *
+ * Inline nodes pushed to `out` since `count` are given the position of the
+ * `length` characters just consumed, unless a nested parse positioned them.
+ */
+
+InlineLexer.prototype.position = function(out, count, length) {
+  var start = this.offsets[this.index];
+  var end = this.offsets[this.index + length];
+  var i = count;
+
+  for (; i < out.length; i++) {
+    const node = out[i];
+    if (
+      node &&
+      node.object === "inline" &&
+      !(node.data && node.data.position)
+    ) {
+      node.data = assign({}, node.data, {
+        position: { start: this.locate(start), end: this.locate(end) }
+      });
+    }
+  }
+};
+
+/**
+ * Whether `src` starts with the delimiter `open` and the delimiter closing it
+ * appears later in the text, see `findCloser`.
+ */
+
+InlineLexer.prototype.opens = function(src, open) {
+  var closer =
+    (this.options.pedantic && closers.pedantic[open]) || closers[open];
+
+  return (
+    src.substring(0, open.length) === open &&
+    this.closes(open, closer, open.length)
+  );
+};
+
+/**
+ * Whether the global pattern `closer` matches `index` characters or more past
+ * the current position, for a rule that scans ahead for it.
+ */
+
+InlineLexer.prototype.closes = function(key, closer, index) {
+  return !!findCloser(this, key, closer, this.index + index);
+};
+
+/**
+ * Parse `text`, found `index` characters past the current position.
+ */
+
+InlineLexer.prototype.parseAt = function(text, index) {
+  var start = this.index + index;
+
+  return this.parse(
+    text,
+    this.offsets && this.offsets.slice(start, start + text.length + 1)
+  );
+};
+
+/**
+ * Inline Tokenizers
+ *
+ * Each tokenizer is called with the remaining source and the output so far,
+ * pushes any nodes it renders and returns the source left to lex, or
+ * `undefined` when it does not match.
+ */
+
+var inlineTokenizers = {
+  escape: function(src, out) {
+    var cap = this.rules.escape.exec(src);
+    if (!cap) return;
+
+    out.push({
+      object: "text",
+      leaves: [
+        {
+          text: cap[1]
+        }
+      ]
+    });
+    return src.substring(cap[0].length);
+  },
+
+  autolink: function(src, out) {
+    var cap;
+
+    if (this.inLink || !(cap = this.rules.autolink.exec(src))) return;
+
+    var href = cap[2] === "@" ? `mailto:${cap[1]}` : cap[1];
+    out.push(this.renderer.link(href, undefined, [this.renderer.text(cap[1])]));
+    return src.substring(cap[0].length);
+  },
+
+  // gfm
+  url: function(src, out) {
+    var cap;
+
+    if (this.inLink || !(cap = this.rules.url.exec(src))) return;
+
+    var raw = cap[0];
+    var href;
+
+    if (cap[2] === "@") {
+      href = `mailto:${raw}`;
+    } else {
+      raw = backpedal(raw);
+    }
+
+    // urls in plain text may have been escaped when they were serialized
+    var text = raw.replace(/\\([\\`*{}\[\]()#+\-.!_>~|])/g, "$1");
+    if (!href) href = cap[1] === "www." ? `http://${text}` : text;
+
+    out.push(this.renderer.link(href, undefined, [this.renderer.text(text)]));
+    return src.substring(raw.length);
+  },
+
+  html: function(src, out) {
+    var comment = src.substring(0, 4) === "<!--";
+    var cap;
+
+    if (!this.options.html) return;
+    if (comment && !this.closes("<!--", /-->/g, 4)) return;
+    if (!(cap = this.rules.html.exec(src))) return;
+
+    src = src.substring(cap[0].length);
+
+    switch (this.options.html) {
+      case "strip":
+        return src;
+      case "map": {
+        const tag = /^<(\/?)([a-zA-Z][\w-]*)/.exec(cap[0]) || [];
+        const name = tag[2] && tag[2].toLowerCase();
+
+        if (name === "br") {
+          out.push(this.renderer.br());
+          return src;
+        }
+        if (name === "img") {
+          const attributes = parseAttributes(cap[0]);
+          out.push(
+            this.renderer.image(
+              attributes.src || "",
+              attributes.title,
+              attributes.alt
+            )
+          );
+          return src;
+        }
+
+        // tags wrapping text that correspond to a mark
+        const close = new RegExp(`</${name}\\s*>`, "gi");
+        const end =
+          !tag[1] &&
+          HTML_MARKS[name] &&
+          findCloser(this, `</${name}`, close, this.index + cap[0].length);
+        if (end) {
+          const length = end.index - this.index - cap[0].length;
+          out.push(
+            applyMark(
+              this.parseAt(src.substring(0, length), cap[0].length),
+              HTML_MARKS[name]
+            )
+          );
+          return src.substring(length + end[0].length);
+        }
+      }
+    }
 
-  if (!this.links) {
-    throw new Error("Tokens array requires a `links` property.");
-  }
+    out.push(this.renderer.inlineHtml(cap[0]));
+    return src;
+  },
 
-  if (this.options.gfm) {
-    if (this.options.breaks) {
-      this.rules = inline.breaks;
-    } else {
-      this.rules = inline.gfm;
-    }
-  } else if (this.options.pedantic) {
-    this.rules = inline.pedantic;
-  }
-}
+  link: function(src, out) {
+    var cap;
 
-/**
- * Expose Inline Rules
- */
+    if (!this.opens(src, "[") && !this.opens(src, "![")) return;
 
-InlineLexer.rules = inline;
+    // the closing parenthesis is looked for past the opening one
+    var open = this.rules.linkOpen.exec(src);
+    if (!open || !this.closes(")", /\)/g, open[0].length)) return;
+    if (!(cap = this.rules.link.exec(src))) return;
 
-/**
- * Static Lexing/Compiling Method
- */
+    out.push(this.outputLink(cap, { href: cap[2], title: cap[3] || cap[4] }));
+    return src.substring(cap[0].length);
+  },
 
-InlineLexer.parse = function(src, links, options) {
-  var inline = new InlineLexer(links, options);
-  return inline.parse(src);
-};
+  hashtag: function(src, out) {
+    var cap = this.rules.hashtag.exec(src);
+    if (!cap) return;
 
-/**
- * Lexing/Compiling
- */
+    out.push(this.renderer.hashtag(this.parse(`\\${cap[1]}`)));
+    return src.substring(cap[0].length);
+  },
 
-InlineLexer.prototype.parse = function(src) {
-  var out = [];
-  var link;
-  var cap;
+  footnote: function(src, out) {
+    var cap = this.rules.footnote.exec(src);
+    if (!cap) return;
 
-  while (src) {
-    // escape
-    if ((cap = this.rules.escape.exec(src))) {
-      src = src.substring(cap[0].length);
+    out.push(this.renderer.footnoteReference(cap[1]));
+    return src.substring(cap[0].length);
+  },
+
+  // reflink, nolink
+  reflink: function(src, out) {
+    var link;
+    var cap;
+
+    if (!this.opens(src, "[") && !this.opens(src, "![")) return;
+    cap = this.rules.reflink.exec(src) || this.rules.nolink.exec(src);
+    if (!cap) return;
+
+    var label = (cap[2] || cap[1]).replace(/\s+/g, " ");
+    link = this.links[label.toLowerCase()];
+    if (!link || !link.href) {
       out.push({
         object: "text",
         leaves: [
           {
-            text: cap[1]
+            text: cap[0].charAt(0)
           }
         ]
       });
-      continue;
+      return src.substring(1);
     }
-
-    // link
-    if ((cap = this.rules.link.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.outputLink(cap, { href: cap[2], title: cap[3] }));
-      continue;
+    out.push(
+      this.outputLink(cap, link, {
+        label,
+        // [text][label], [label][] or [label]
+        type: cap[2] ? "full" : cap[2] === "" ? "collapsed" : "shortcut"
+      })
+    );
+    return src.substring(cap[0].length);
+  },
+
+  underlined: function(src, out) {
+    var cap;
+
+    if (!this.opens(src, "__") || !(cap = this.rules.underlined.exec(src))) {
+      return;
     }
 
-    // hashtag
-    if ((cap = this.rules.hashtag.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.renderer.hashtag(this.parse(`\\${cap[1]}`)));
-      continue;
-    }
+    out.push(this.renderer.underlined(this.parseAt(cap[2] || cap[1], 2)));
+    return src.substring(cap[0].length);
+  },
 
-    // reflink, nolink
-    // TODO
-    if (
-      (cap = this.rules.reflink.exec(src)) ||
-      (cap = this.rules.nolink.exec(src))
-    ) {
-      src = src.substring(cap[0].length);
-      link = (cap[2] || cap[1]).replace(/\s+/g, " ");
-      link = this.links[link.toLowerCase()];
-      if (!link || !link.href) {
-        out.push({
-          object: "text",
-          leaves: [
-            {
-              text: cap[0].charAt(0)
-            }
-          ]
-        });
-        src = cap[0].substring(1) + src;
-        continue;
-      }
-      out.push(this.outputLink(cap, link));
-      continue;
-    }
+  strong: function(src, out) {
+    var cap;
 
-    // underlined
-    if ((cap = this.rules.underlined.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.renderer.underlined(this.parse(cap[2] || cap[1])));
-      continue;
-    }
+    if (!this.opens(src, "**") && !this.opens(src, "__")) return;
+    if (!(cap = this.rules.strong.exec(src))) return;
 
-    // strong
-    if ((cap = this.rules.strong.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.renderer.strong(this.parse(cap[2] || cap[1])));
-      continue;
-    }
+    out.push(this.renderer.strong(this.parseAt(cap[2] || cap[1], 2)));
+    return src.substring(cap[0].length);
+  },
 
-    // em
-    if ((cap = this.rules.em.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.renderer.em(this.parse(cap[2] || cap[1])));
-      continue;
-    }
+  em: function(src, out) {
+    var cap;
 
-    // code
-    if ((cap = this.rules.code.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.renderer.codespan(cap[2]));
-      continue;
-    }
+    if (!this.opens(src, "*") && !this.opens(src, "_")) return;
+    if (!(cap = this.rules.em.exec(src))) return;
 
-    // br
-    if ((cap = this.rules.br.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.renderer.br());
-      continue;
-    }
+    out.push(
+      this.renderer.em(this.parseAt(cap[2] || cap[1], 1), cap[0].charAt(0))
+    );
+    return src.substring(cap[0].length);
+  },
 
-    // del (gfm)
-    if ((cap = this.rules.del.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.renderer.del(this.parse(cap[1])));
-      continue;
-    }
+  code: function(src, out) {
+    var open = /^`+/.exec(src);
+    var cap;
 
-    // ins (gfm extended)
-    if ((cap = this.rules.ins.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.renderer.ins(this.parse(cap[1])));
-      continue;
-    }
+    // the span is closed by a run of as many backticks
+    if (!open) return;
+    var closer = new RegExp(`[^\`]${open[0]}(?!\`)`, "g");
+    if (!this.closes(open[0], closer, open[0].length)) return;
+    if (!(cap = this.rules.code.exec(src))) return;
 
-    // text
-    if ((cap = this.rules.text.exec(src))) {
-      src = src.substring(cap[0].length);
-      out.push(this.renderer.text(cap[0]));
-      continue;
+    out.push(this.renderer.codespan(cap[2].trim() || cap[2]));
+    return src.substring(cap[0].length);
+  },
+
+  math: function(src, out) {
+    var cap = this.rules.math.exec(src);
+    if (!cap) return;
+
+    out.push(this.renderer.mathInline(cap[1]));
+    return src.substring(cap[0].length);
+  },
+
+  br: function(src, out) {
+    var cap = this.rules.br.exec(src);
+    if (!cap) return;
+
+    out.push(this.renderer.br());
+    return src.substring(cap[0].length);
+  },
+
+  // gfm
+  del: function(src, out) {
+    var cap;
+
+    if (!this.opens(src, "~~") || !(cap = this.rules.del.exec(src))) return;
+
+    out.push(this.renderer.del(this.parseAt(cap[1], 2)));
+    return src.substring(cap[0].length);
+  },
+
+  // gfm extended
+  ins: function(src, out) {
+    var cap;
+
+    if (!this.opens(src, "++") || !(cap = this.rules.ins.exec(src))) return;
+
+    out.push(this.renderer.ins(this.parseAt(cap[1], 2)));
+    return src.substring(cap[0].length);
+  },
+
+  text: function(src, out) {
+    var cap = this.rules.text.exec(src);
+    if (!cap) return;
+
+    var text = cap[0];
+    var i;
+    var index;
+
+    // soft breaks are kept apart from the hard breaks within the text
+    if (this.options.softBreaks && text.indexOf("\n") !== -1) {
+      if (text.charAt(0) === "\n") {
+        out.push(this.renderer.softbreak());
+        return src.substring(1);
+      }
+      text = text.substring(0, text.indexOf("\n"));
     }
 
-    if (src) {
-      throw new Error("Infinite loop on byte: " + src.charCodeAt(0));
+    // stop before any extension that could start within the text
+    for (i = 0; i < this.extensions.length; i++) {
+      if (!this.extensions[i].start) continue;
+      index = this.extensions[i].start(src);
+      if (index > 0 && index < text.length) {
+        text = text.substring(0, index);
+      }
     }
-  }
 
-  return out;
+    out.push(this.renderer.text(text));
+    return src.substring(text.length);
+  }
 };
 
+/**
+ * Expose Inline Tokenizers
+ */
+
+InlineLexer.tokenizers = inlineTokenizers;
+
 /**
  * Compile Link
  */
 
-InlineLexer.prototype.outputLink = function(cap, link) {
+InlineLexer.prototype.outputLink = function(cap, link, reference) {
   var href = link.href;
   var title = link.title;
 
-  return cap[0].charAt(0) !== "!"
-    ? this.renderer.link(href, title, this.parse(cap[1]))
-    : this.renderer.image(href, title, cap[1]);
+  if (cap[0].charAt(0) === "!") {
+    return this.renderer.image(href, title, cap[1]);
+  }
+
+  // links cannot be nested, so urls within the text are left alone
+  this.inLink = true;
+  var childNode = this.parseAt(cap[1], 1);
+  this.inLink = false;
+
+  return this.renderer.link(href, title, childNode, reference);
 };
 
 /**
@@ -758,12 +1681,15 @@ Renderer.prototype.groupTextInLeaves = function(childNode) {
   return output;
 };
 
-Renderer.prototype.code = function(childNode, language) {
+Renderer.prototype.code = function(childNode, language, flags = {}) {
   var data = {};
 
   if (language) {
     data.language = language;
   }
+  if (flags.fence && this.options.preserveStyle) {
+    data.fence = flags.fence;
+  }
 
   return {
     object: "block",
@@ -773,6 +1699,19 @@ Renderer.prototype.code = function(childNode, language) {
   };
 };
 
+Renderer.prototype.math = function(tex) {
+  return {
+    object: "block",
+    type: "math",
+    nodes: [
+      {
+        object: "text",
+        leaves: [{ text: tex }]
+      }
+    ]
+  };
+};
+
 Renderer.prototype.blockquote = function(childNode) {
   return {
     object: "block",
@@ -781,10 +1720,31 @@ Renderer.prototype.blockquote = function(childNode) {
   };
 };
 
-Renderer.prototype.heading = function(childNode, level) {
+Renderer.prototype.html = function(html) {
+  return {
+    object: "block",
+    type: "html",
+    nodes: [
+      {
+        object: "text",
+        leaves: [{ text: html }]
+      }
+    ]
+  };
+};
+
+Renderer.prototype.heading = function(childNode, level, flags = {}) {
+  let data;
+  if (this.options.preserveStyle && flags.setext) {
+    data = { setext: true };
+  } else if (this.options.preserveStyle && flags.closed) {
+    data = { closed: true };
+  }
+
   return {
     object: "block",
     type: "heading" + level,
+    data,
     nodes: this.groupTextInLeaves(childNode)
   };
 };
@@ -798,10 +1758,23 @@ Renderer.prototype.hr = function() {
   };
 };
 
-Renderer.prototype.list = function(childNode, style) {
+Renderer.prototype.list = function(childNode, style, flags = {}) {
+  let data;
+  // lists start at one and are tight unless told otherwise
+  if (flags.start !== undefined && flags.start !== 1) {
+    data = { start: flags.start };
+  }
+  if (flags.loose) {
+    data = assign({}, data, { loose: true });
+  }
+  if (flags.bullet && this.options.preserveStyle) {
+    data = assign({}, data, { bullet: flags.bullet });
+  }
+
   return {
     object: "block",
     type: `${style}-list`,
+    data,
     nodes: childNode
   };
 };
@@ -820,6 +1793,15 @@ Renderer.prototype.listitem = function(childNode, flags = {}) {
   };
 };
 
+Renderer.prototype.footnote = function(childNode, label) {
+  return {
+    object: "block",
+    type: "footnote",
+    data: { label },
+    nodes: childNode.length ? childNode : [this.paragraph([])]
+  };
+};
+
 Renderer.prototype.paragraph = function(childNode) {
   return {
     object: "block",
@@ -851,20 +1833,33 @@ Renderer.prototype.tablecell = function(childNode, flags) {
     object: "block",
     data: { align },
     type: "table-cell",
-    nodes: [this.paragraph(childNode)]
+    nodes: flags.blocks ? childNode : [this.paragraph(childNode)]
   };
 };
 
-function applyMark(childNode, type) {
+// html tags that can be represented as marks when `options.html` is "map"
+const HTML_MARKS = {
+  u: "underlined",
+  ins: "inserted",
+  mark: "highlighted",
+  sub: "subscript",
+  sup: "superscript"
+};
+
+function applyMark(childNode, type, data) {
+  const mark = data ? { type, data } : { type };
+
   return childNode.map(node => {
+    // soft breaks are written as a new line alone, outside of any marks
+    if (node.type === "soft-break") return node;
     if (node.object === "inline") {
-      node.nodes = applyMark(node.nodes, type);
+      node.nodes = applyMark(node.nodes, type, data);
     } else if (node.object === "text") {
-      node.leaves = applyMark(node.leaves, type);
+      node.leaves = applyMark(node.leaves, type, data);
     } else if (node.marks) {
-      node.marks.push({ type });
+      node.marks.push(mark);
     } else {
-      node.marks = [{ type }];
+      node.marks = [mark];
     }
     return node;
   });
@@ -879,8 +1874,9 @@ Renderer.prototype.strong = function(childNode) {
   return applyMark(childNode, "bold");
 };
 
-Renderer.prototype.em = function(childNode) {
-  return applyMark(childNode, "italic");
+Renderer.prototype.em = function(childNode, marker) {
+  const data = marker && this.options.preserveStyle ? { marker } : undefined;
+  return applyMark(childNode, "italic", data);
 };
 
 Renderer.prototype.codespan = function(text) {
@@ -890,9 +1886,25 @@ Renderer.prototype.codespan = function(text) {
   };
 };
 
+Renderer.prototype.mathInline = function(tex) {
+  return {
+    object: "inline",
+    type: "math-inline",
+    nodes: this.groupTextInLeaves([{ text: tex }])
+  };
+};
+
 Renderer.prototype.br = function() {
   return {
-    text: " "
+    text: "\n"
+  };
+};
+
+Renderer.prototype.softbreak = function() {
+  return {
+    object: "inline",
+    type: "soft-break",
+    nodes: this.groupTextInLeaves([{ text: "\n" }])
   };
 };
 
@@ -904,6 +1916,14 @@ Renderer.prototype.ins = function(childNode) {
   return applyMark(childNode, "inserted");
 };
 
+Renderer.prototype.inlineHtml = function(html) {
+  return {
+    object: "inline",
+    type: "html",
+    nodes: this.groupTextInLeaves([{ text: html }])
+  };
+};
+
 Renderer.prototype.hashtag = function(childNode) {
   return {
     object: "inline",
@@ -912,13 +1932,26 @@ Renderer.prototype.hashtag = function(childNode) {
   };
 };
 
-Renderer.prototype.link = function(href, title, childNode) {
+Renderer.prototype.footnoteReference = function(label) {
+  return {
+    object: "inline",
+    type: "footnote-reference",
+    data: { label },
+    nodes: this.groupTextInLeaves([{ text: label }])
+  };
+};
+
+Renderer.prototype.link = function(href, title, childNode, reference) {
   var data = {
     href: decode(href)
   };
   if (title) {
     data.title = title;
   }
+  if (reference) {
+    data.label = reference.label;
+    data.reference = reference.type;
+  }
   return {
     object: "inline",
     type: "link",
@@ -965,6 +1998,11 @@ function Parser(options) {
   this.options.renderer = this.options.renderer || new Renderer();
   this.renderer = this.options.renderer;
   this.renderer.options = this.options;
+  this.extensions = {};
+
+  getExtensions(this.options, "block").forEach(extension => {
+    this.extensions[extension.name] = extension;
+  });
 }
 
 /**
@@ -982,6 +2020,7 @@ Parser.parse = function(src, options, renderer) {
 
 Parser.prototype.parse = function(src) {
   this.inline = new InlineLexer(src.links, this.options, this.renderer);
+  this.inline.locate = src.locate;
   this.tokens = src.slice().reverse();
 
   var out = [];
@@ -992,6 +2031,27 @@ Parser.prototype.parse = function(src) {
   return out;
 };
 
+/**
+ * Parse A Nested Token List
+ */
+
+Parser.prototype.parseTokens = function(tokens) {
+  var saved = this.tokens;
+  var token = this.token;
+
+  this.tokens = tokens.slice().reverse();
+
+  var out = [];
+  while (this.next()) {
+    out.push(this.tok(true));
+  }
+
+  this.tokens = saved;
+  this.token = token;
+
+  return out;
+};
+
 /**
  * Next Token
  */
@@ -1026,7 +2086,34 @@ Parser.prototype.parseText = function() {
  * Parse Current Token
  */
 
-Parser.prototype.tok = function() {
+Parser.prototype.tok = function(inBlock) {
+  const position = this.token.position;
+  this.inline.count(1);
+  let node = this.applyRules(this.token);
+  if (node) return withPosition(node, position);
+
+  node = withPosition(this.render(inBlock), position);
+  return (node && this.applyRules(node)) || node;
+};
+
+/**
+ * Deserialize Rules
+ *
+ * Rules may declare a `deserialize(obj, parser)` hook which is called with
+ * each lexer token (which has no `object` property) before it is rendered
+ * and again with the rendered Slate JSON. Returning a value replaces the
+ * token or node.
+ */
+
+Parser.prototype.applyRules = function(obj) {
+  return applyRules(this.options.rules, obj, this);
+};
+
+/**
+ * Render Current Token
+ */
+
+Parser.prototype.render = function(inBlock) {
   switch (this.token.type) {
     case "space": {
       return {
@@ -1043,10 +2130,17 @@ Parser.prototype.tok = function() {
     }
     case "heading": {
       return this.renderer.heading(
-        this.inline.parse(this.token.text),
-        this.token.depth
+        this.inline.parse(this.token.text, this.token.textOffsets),
+        this.token.depth,
+        { setext: this.token.setext, closed: this.token.closed }
       );
     }
+    case "html": {
+      return this.renderer.html(this.token.text);
+    }
+    case "math": {
+      return this.renderer.math(this.token.text);
+    }
     case "code": {
       // Text inside of code blocks should not be parsed for marks
       return this.renderer.code(
@@ -1056,25 +2150,31 @@ Parser.prototype.tok = function() {
             leaves: [{ text: this.token.text }]
           }
         ],
-        this.token.lang
+        this.token.lang,
+        { fence: this.token.fence }
       );
     }
     case "table": {
       let body = [];
       let i, row, flags, j;
+      const offsets = this.token.cellOffsets || [];
 
       // header
       let cells = [];
       for (i = 0; i < this.token.header.length; i++) {
         flags = { header: true, align: this.token.align[i] };
         cells.push(
-          this.renderer.tablecell(this.inline.parse(this.token.header[i]), {
-            header: true,
-            align: this.token.align[i]
-          })
+          this.tablecell(
+            this.token.header[i],
+            {
+              header: true,
+              align: this.token.align[i]
+            },
+            offsets[0] && offsets[0][i]
+          )
         );
       }
-      body.push(this.renderer.tablerow(cells));
+      body.push(this.tablerow(cells, 0));
 
       for (i = 0; i < this.token.cells.length; i++) {
         row = this.token.cells[i];
@@ -1082,14 +2182,18 @@ Parser.prototype.tok = function() {
         let cells = [];
         for (j = 0; j < row.length; j++) {
           cells.push(
-            this.renderer.tablecell(this.inline.parse(row[j]), {
-              header: false,
-              align: this.token.align[j]
-            })
+            this.tablecell(
+              row[j],
+              {
+                header: false,
+                align: this.token.align[j]
+              },
+              offsets[i + 1] && offsets[i + 1][j]
+            )
           );
         }
 
-        body.push(this.renderer.tablerow(cells));
+        body.push(this.tablerow(cells, i + 1));
       }
       return this.renderer.table(body);
     }
@@ -1097,23 +2201,24 @@ Parser.prototype.tok = function() {
       let body = [];
 
       while (this.next().type !== "blockquote_end") {
-        body.push(
-          this.token.type === "text"
-            ? this.renderer.paragraph(this.inline.parse(this.token.text))
-            : this.tok()
-        );
+        body.push(this.tok(true));
       }
       return this.renderer.blockquote(body);
     }
     case "list_start": {
       let body = [];
       let style = this.token.style;
+      let flags = {
+        start: this.token.start,
+        bullet: this.token.bullet,
+        loose: this.token.loose
+      };
 
       while (this.next().type !== "list_end") {
         body.push(this.tok());
       }
 
-      return this.renderer.list(body, style);
+      return this.renderer.list(body, style, flags);
     }
     case "loose_item_start":
     case "list_item_start": {
@@ -1121,28 +2226,198 @@ Parser.prototype.tok = function() {
       let flags = { checked: this.token.checked };
 
       while (this.next().type !== "list_item_end") {
-        body.push(
-          this.token.type === "text"
-            ? this.renderer.paragraph(this.inline.parse(this.token.text))
-            : this.tok()
-        );
+        body.push(this.tok(true));
       }
 
       return this.renderer.listitem(body, flags);
     }
+    case "footnote_start": {
+      let body = [];
+      let label = this.token.label;
+
+      while (this.next().type !== "footnote_end") {
+        body.push(this.tok(true));
+      }
+
+      return this.renderer.footnote(body, label);
+    }
     case "paragraph": {
-      return this.renderer.paragraph(this.inline.parse(this.token.text));
+      return this.renderer.paragraph(
+        this.inline.parse(this.token.text, this.token.textOffsets)
+      );
     }
     case "text": {
+      // text nested within a block is rendered as a paragraph of its own
+      if (inBlock) {
+        return this.renderer.paragraph(
+          this.inline.parse(this.token.text, this.token.textOffsets)
+        );
+      }
       return this.renderer.text(this.parseText());
     }
+    default: {
+      const extension = this.extensions[this.token.type];
+      if (extension) {
+        return extension.renderer.call(this.renderer, this.token, this);
+      }
+    }
+  }
+};
+
+/**
+ * Render A Table Cell, cells holding `<br>` are split into lines and lexed
+ * as blocks so each line becomes a paragraph, list item, etc. of its own.
+ * With the `offsets` of its text the cell and its blocks are positioned.
+ */
+
+Parser.prototype.tablecell = function(text, flags, offsets) {
+  let lines = false;
+  const position =
+    offsets && locateSource(this.inline.locate, { text, offsets });
+  const source = replaceSource({ text, offsets }, BREAK, (br, escaped) => {
+    if (escaped) return br.slice(1);
+    lines = true;
+    return "\n";
+  });
+
+  if (!lines) {
+    const inlineOffsets = this.options.sourcePositions === "inline"
+      ? source.offsets
+      : undefined;
+    const cell = this.renderer.tablecell(
+      this.inline.parse(source.text, inlineOffsets),
+      flags
+    );
+    return withPosition(
+      assign({}, cell, {
+        nodes: cell.nodes.map(node => withPosition(node, position))
+      }),
+      position
+    );
   }
+
+  const lexer = new Lexer(this.options);
+  lexer.tokens.links = this.inline.links;
+  lexer.locate = this.inline.locate;
+
+  const tokens = lexer.token(source.text, false, false, source.offsets);
+
+  return withPosition(
+    this.renderer.tablecell(this.parseTokens(tokens), {
+      ...flags,
+      blocks: true
+    }),
+    position
+  );
+};
+
+/**
+ * Render A Table Row, the `index`th row of the current table token
+ */
+
+Parser.prototype.tablerow = function(cells, index) {
+  const rows = this.token.rows;
+  return withPosition(this.renderer.tablerow(cells), rows && rows[index]);
 };
 
 /**
  * Helpers
  */
 
+// blocks are given the position of the token they were rendered from
+function withPosition(node, position) {
+  if (!node || !position || node.object !== "block") return node;
+  return assign({}, node, {
+    data: assign({}, node.data, { position })
+  });
+}
+
+function getExtensions(options, level) {
+  return (options.extensions || [])
+    .filter(extension => extension.level === level);
+}
+
+function extendTokenizers(tokenizers, extensions, createTokenizer) {
+  const out = assign({}, tokenizers);
+
+  extensions.forEach(extension => {
+    if (hasOwnProperty.call(out, extension.name)) {
+      throw new Error(`Tokenizer "${extension.name}" is already defined`);
+    }
+    out[extension.name] = createTokenizer(extension);
+  });
+
+  return out;
+}
+
+// Extensions run before the built-in tokenizers unless they ask to be placed
+// `before` or `after` a named tokenizer.
+function orderTokenizers(names, extensions) {
+  const order = names.slice();
+  let first = 0;
+
+  extensions.forEach(extension => {
+    let index = first++;
+    let target = extension.before || extension.after;
+
+    if (target) {
+      first--;
+      index = order.indexOf(target);
+      if (index === -1) {
+        throw new Error(`Unknown tokenizer "${target}"`);
+      }
+      if (extension.after) index++;
+    }
+
+    order.splice(index, 0, extension.name);
+  });
+
+  return order;
+}
+
+function consumed(extension, token) {
+  if (!token.raw) {
+    throw new Error(`Tokenizer "${extension.name}" must return a raw string`);
+  }
+  return token.raw.length;
+}
+
+function blockExtensionTokenizer(extension) {
+  return function(src, top) {
+    const token = extension.tokenizer(src, this, top);
+    if (!token) return;
+
+    this.tokens.push(assign({ type: extension.name }, token));
+    return src.substring(consumed(extension, token));
+  };
+}
+
+function inlineExtensionTokenizer(extension) {
+  return function(src, out) {
+    const token = extension.tokenizer(src, this);
+    if (!token) return;
+
+    out.push(
+      extension.renderer.call(
+        this.renderer,
+        assign({ type: extension.name }, token),
+        this
+      )
+    );
+    return src.substring(consumed(extension, token));
+  };
+}
+
+function applyRules(rules, obj, parser) {
+  if (!rules) return;
+
+  for (const rule of rules) {
+    if (!rule.deserialize) continue;
+    const ret = rule.deserialize(obj, parser);
+    if (ret) return ret;
+  }
+}
+
 function replace(regex, options) {
   regex = regex.source;
   options = options || "";
@@ -1158,12 +2433,40 @@ function replace(regex, options) {
 }
 
 const MarkdownParser = {
+  LimitError,
+
   parse(src, options) {
     options = assign({}, defaults, options);
     let fragment;
+    let data = {};
 
     try {
-      fragment = Parser.parse(Lexer.parse(src, options), options);
+      checkLimit(options, "maxLength", src.length);
+      const tokens = Lexer.parse(src, options);
+      fragment = Parser.parse(tokens, options);
+
+      if (tokens.frontMatter) {
+        assign(data, tokens.frontMatter);
+      }
+
+      // keep link definitions so that reference links can be written back
+      if (tokens.definitions.length) {
+        data.linkDefinitions = tokens.definitions.map(
+          ({ label, href, title }) => {
+            const definition = { label, href: decode(href) };
+            if (title) definition.title = title;
+            return definition;
+          }
+        );
+      }
+
+      // move footnote definitions to the end of the document
+      if (options.collectFootnotes) {
+        fragment = [
+          ...fragment.filter(node => node.type !== "footnote"),
+          ...fragment.filter(node => node.type === "footnote")
+        ];
+      }
 
       if (!fragment.length) {
         fragment = [
@@ -1177,7 +2480,7 @@ const MarkdownParser = {
         ];
       }
     } catch (err) {
-      if (options.silent) {
+      if (options.silent && !(err instanceof LimitError)) {
         fragment = [
           {
             object: "block",
@@ -1208,10 +2511,82 @@ const MarkdownParser = {
       }
     }
 
-    return { nodes: fragment };
+    return { data, nodes: fragment };
   }
 };
 
+// The match of the global pattern `closer` in the input of `lexer` at or past
+// the offset `from`. Rules that scan ahead for a closing delimiter are only
+// tried when it is there, so that text with many unclosed delimiters is lexed
+// in linear time. The match is kept by `key` and reused for as long as it is
+// past `from`, as the lexer only moves forward.
+function findCloser(lexer, key, closer, from) {
+  var found = lexer.closers[key];
+
+  if (!found || from < found.from || (found.cap && found.cap.index < from)) {
+    closer.lastIndex = from;
+    found = lexer.closers[key] = { from, cap: closer.exec(lexer.input) };
+  }
+
+  return found.cap;
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-zA-Z_:][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+  let cap;
+
+  while ((cap = pattern.exec(tag))) {
+    attributes[cap[1].toLowerCase()] = cap[2] || cap[3] || cap[4] || "";
+  }
+  return attributes;
+}
+
+// Trailing punctuation and unbalanced closing parentheses are not considered
+// part of a url in text, eg: "see http://example.com/foo_(bar)."
+function backpedal(url) {
+  var punctuation = /[?!.,:;*_~'"]/;
+  var open = url.split("(").length;
+  var close = url.split(")").length;
+  var end = url.length;
+  var char;
+
+  while (end) {
+    char = url.charAt(end - 1);
+    if (char === ")" && close > open) {
+      close--;
+    } else if (!punctuation.test(char)) {
+      break;
+    }
+    end--;
+  }
+
+  return url.substring(0, end);
+}
+
+// Lines ending in two spaces or an unescaped backslash are followed by a
+// hard line break, rather than ending the paragraph. The characters are
+// counted from the end, as `/ {2,}$/` is tried from every space in the line.
+function endsInHardBreak(line) {
+  var backslashes = 0;
+
+  if (line.slice(-2) === "  ") return true;
+
+  while (line.charAt(line.length - 1 - backslashes) === "\\") {
+    backslashes++;
+  }
+  return backslashes % 2 === 1;
+}
+
+// `row` without the pipe that ends it and the spaces around that pipe, as
+// `row.replace(/ *\| *$/, "")` but without trying the pattern from every space
+function trimPipe(row) {
+  var trimmed = trimEnd(row, / /);
+
+  if (trimmed.charAt(trimmed.length - 1) !== "|") return row;
+  return trimEnd(trimmed.slice(0, -1), / /);
+}
+
 function splitCells(tableRow) {
   // We must account for escaped pipes within the cell content
   let cells = tableRow.split(/[^\\]\| *?|^\|/);
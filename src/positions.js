@@ -0,0 +1,98 @@
+import { trimEnd } from "./utils";
+
+// The lexer normalizes the markdown and outdents the contents of block
+// quotes, lists and footnotes before lexing them again. To report positions
+// in the original markdown each string is paired with `offsets`, holding the
+// original offset of every character plus one for the end of the string.
+type Source = { text: string, offsets: ?Array<number> };
+
+export function createSource(text: string, track: boolean): Source {
+  let offsets;
+
+  if (track) {
+    offsets = [];
+    for (let i = 0; i <= text.length; i++) {
+      offsets.push(i);
+    }
+  }
+
+  return { text, offsets };
+}
+
+// like String.prototype.replace with a literal replacement or a function
+// returning one, characters that are inserted take the offset of the text
+// they replace
+export function replaceSource(
+  source: Source,
+  regex: RegExp,
+  replacement: string | Function
+): Source {
+  const { text, offsets } = source;
+  if (!offsets) return { text: text.replace(regex, replacement), offsets };
+
+  const out = [];
+  let result = "";
+  let last = 0;
+
+  text.replace(regex, (match, ...args) => {
+    const index = args[args.length - 2];
+    const value = typeof replacement === "function"
+      ? replacement(match, ...args)
+      : replacement;
+
+    result += text.slice(last, index) + value;
+    for (let i = last; i < index; i++) {
+      out.push(offsets[i]);
+    }
+    for (let i = 0; i < value.length; i++) {
+      out.push(offsets[index]);
+    }
+
+    last = index + match.length;
+    return match;
+  });
+
+  result += text.slice(last);
+  for (let i = last; i <= text.length; i++) {
+    out.push(offsets[i]);
+  }
+
+  return { text: result, offsets: out };
+}
+
+// convert character offsets into 1-based lines and columns
+export function createLocator(text: string) {
+  const lines = [0];
+  const newline = /\r\n|\r|\n/g;
+  let match;
+
+  while ((match = newline.exec(text))) {
+    lines.push(match.index + match[0].length);
+  }
+
+  return function locate(offset: number) {
+    let low = 0;
+    let high = lines.length - 1;
+
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lines[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - lines[low] + 1, offset };
+  };
+}
+
+// the range of `source` without its trailing new lines
+export function locateSource(locate: Function, source: Source) {
+  const end = trimEnd(source.text, /\n/).length;
+
+  return {
+    start: locate(source.offsets[0]),
+    end: locate(source.offsets[end])
+  };
+}
@@ -1,26 +1,45 @@
 import parser from "./parser";
 import { Value } from "slate";
 import { Record } from "immutable";
+import yaml from "js-yaml";
 import { encode } from "./urls";
-import { escapeMarkdownChars } from "./utils";
+import { escapeMarkdownChars, stringWidth } from "./utils";
+import { createLocator } from "./positions";
+import compareDocuments from "./verify";
+import { applyEdit, findWindow, spliceWindow } from "./incremental";
+import { documentOf, leavesOf, toMarksJSON, toPlain } from "./models";
 
 const String = new Record({
   object: "string",
   text: ""
 });
 
+// document data written by the parser which is not part of the front matter
+const RESERVED_DATA_KEYS = ["linkDefinitions"];
+
+// the text within these nodes is written to markdown as-is
+const UNESCAPED_TYPES = ["code", "html", "math", "math-inline"];
+
+// markers written when neither the node nor the options choose one
+const DEFAULT_STYLE = {
+  bullet: "*",
+  emphasis: "_",
+  fence: "```"
+};
+
 /**
  * Rules to (de)serialize nodes.
  *
+ * Each `serialize` function receives the object being serialized, the
+ * already serialized `children`, the `document` and the serialization
+ * `context` for the current call to `Markdown.serialize`.
+ *
+ * Rules may also define `deserialize(obj, parser)`, which is called with
+ * each lexer token and each rendered node while parsing, see `src/parser.js`.
+ *
  * @type {Object}
  */
 
-let tableHeader = "";
-let firstRow = true;
-let version;
-let previousBlock;
-let currentBlock;
-
 const RULES = [
   {
     serialize(obj, children) {
@@ -30,48 +49,61 @@ const RULES = [
     }
   },
   {
-    serialize(obj, children, document) {
+    serialize(obj, children, document, context) {
       if (obj.object !== "block") return;
       let parent = document.getParent(obj.key);
-
-      if (currentBlock) {
-        previousBlock = currentBlock;
-      }
-
-      currentBlock = {
-        obj,
-        children
-      };
+      const { version, previousBlock } = context;
 
       switch (obj.type) {
-        case "table":
-          tableHeader = "";
-          firstRow = true;
+        case "table": {
+          const rows = context.tableRows;
+          context.tableHeader = "";
+          context.firstRow = true;
+          context.tableRows = [];
+
+          if (context.options.prettyTables) return prettyTable(rows);
 
           // trim removes trailing newline
           return children.trim();
+        }
         case "table-cell": {
+          // blocks within the cell are separated by line breaks, so a literal
+          // `<br>` is escaped, and pipes so they do not end the cell early
+          const text = children
+            .replace(/^\n+|\n+$/g, "")
+            .replace(/<br\s*\/?>/gi, "\\$&")
+            .replace(/\n/g, "<br>")
+            .replace(/\\?\|/g, "\\|");
+
+          context.tableCells.push({
+            text,
+            align: obj.getIn(["data", "align"])
+          });
+
           switch (obj.getIn(["data", "align"])) {
             case "left":
-              tableHeader += "|:--- ";
+              context.tableHeader += "|:--- ";
               break;
             case "center":
-              tableHeader += "|:---:";
+              context.tableHeader += "|:---:";
               break;
             case "right":
-              tableHeader += "| ---:";
+              context.tableHeader += "| ---:";
               break;
             default:
-              tableHeader += "| --- ";
+              context.tableHeader += "| --- ";
           }
-          return `| ${children} `;
+          return `| ${text} `;
         }
         case "table-row":
+          context.tableRows.push(context.tableCells);
+          context.tableCells = [];
+
           let output = "";
-          if (firstRow) {
-            output = `${tableHeader}|\n`;
-            tableHeader = "";
-            firstRow = false;
+          if (context.firstRow) {
+            output = `${context.tableHeader}|\n`;
+            context.tableHeader = "";
+            context.firstRow = false;
           }
           return `${children}|\n${output}`;
         case "paragraph": {
@@ -101,28 +133,41 @@ const RULES = [
         }
         case "code": {
           const language = obj.getIn(["data", "language"]) || "";
-          return `\`\`\`${language}\n${children}\n\`\`\``;
+          const fence = styleOf(obj, "fence", context);
+          return `${fence}${language}\n${children}\n${fence}`;
         }
         case "code-line":
           return `${children}\n`;
+        case "html":
+          return children;
+        case "math":
+          return `$$\n${children}\n$$`;
         case "block-quote":
-          // Handle multi-line blockquotes
-          return children.split("\n").map(text => `> ${text}`).join("\n");
+          // Handle multi-line blockquotes, every line of the blocks within
+          // (including nested quotes) is prefixed
+          return children
+            .replace(/\n+$/, "")
+            .split("\n")
+            .map(text => `> ${text}`)
+            .join("\n");
         case "todo-list":
         case "bulleted-list":
         case "ordered-list": {
-          // root list
-          if (parent === document) {
-            return children;
+          // nested list, indented by the list item containing it
+          if (parent.type === "list-item") {
+            return children.replace(/\n+$/, "");
           }
 
-          // nested list
-          return `\n${children.replace(/\n+$/gm, "").replace(/^/gm, "   ")}`;
+          return children;
         }
         case "list-item": {
+          let marker;
+          let indent;
+
           switch (parent.type) {
             case "ordered-list":
-              return `1. ${children}\n`;
+              marker = `${orderedListNumber(obj, parent, context)}. `;
+              break;
             case "todo-list":
               let checked = obj.getIn(["data", "checked"]);
               let box = checked ? "[x]" : "[ ]";
@@ -130,24 +175,36 @@ const RULES = [
               // version 2 outputs markdown compatible with rich-markdown-editor
               // v10+ – it can be used to migrate documents between v9 -> v10
               let prepend = version === 2 ? "- " : "";
-              return `${prepend}${box} ${children}\n`;
+              marker = `${prepend}${box} `;
+              // the checkbox is part of the item's text in version 2
+              indent = prepend.length || marker.length;
+              break;
             default:
             case "bulleted-list":
-              return `* ${children}\n`;
+              marker = `${styleOf(parent, "bullet", context)} `;
           }
+
+          // every block after the first line is indented to the column the
+          // item's content starts at, so it stays within the item
+          const content = children.replace(
+            /\n(?=[^\n])/g,
+            `\n${" ".repeat(indent || marker.length)}`
+          );
+          return `${marker}${content}\n`;
         }
         case "heading1":
-          return `# ${children}\n`;
         case "heading2":
-          return `\n## ${children}\n`;
         case "heading3":
-          return `\n### ${children}\n`;
         case "heading4":
-          return `\n#### ${children}\n`;
         case "heading5":
-          return `\n##### ${children}\n`;
         case "heading6":
-          return `\n###### ${children}\n`;
+          return heading(obj, children, context);
+        case "footnote": {
+          const label = footnoteLabel(obj.getIn(["data", "label"]), context);
+
+          // continuation lines are indented to keep them in the footnote
+          return `[^${label}]: ${children.replace(/\n(?!\n)/g, "\n    ")}`;
+        }
         case "horizontal-rule":
           return `---`;
         case "image":
@@ -160,21 +217,41 @@ const RULES = [
   {
     serialize(obj, children) {
       if (obj.type === "hashtag") return children;
+      if (obj.object === "inline" && obj.type === "html") return children;
+      if (obj.type === "math-inline") return `$${children}$`;
+      if (obj.type === "soft-break") return "\n";
     }
   },
   {
-    serialize(obj, children) {
+    serialize(obj, children, document, context) {
+      if (obj.type === "footnote-reference") {
+        return `[^${footnoteLabel(obj.getIn(["data", "label"]), context)}]`;
+      }
+    }
+  },
+  {
+    serialize(obj, children, document, context) {
       if (obj.type === "link") {
         const href = encode(obj.getIn(["data", "href"]) || "");
         const text = children.trim() || href;
-        return href ? `[${text}](${href})` : text;
+        if (!href) return text;
+
+        const label = obj.getIn(["data", "label"]);
+        if (label && context.options.referenceLinks) {
+          return referenceLink(obj, text, label, context);
+        }
+        if (isAutolink(obj)) {
+          return `<${obj.text}>`;
+        }
+        return `[${text}](${href})`;
       }
     }
   },
   {
-    serialize(obj, children) {
+    serialize(obj, children, document, context) {
       if (obj.object !== "mark") return;
-      if (!children) return;
+      if (!children) return "";
+      const { version } = context;
 
       // version 2 outputs markdown compatible with rich-markdown-editor
       // v10+ – it can be used to migrate documents between v9 -> v10
@@ -190,8 +267,10 @@ const RULES = [
         switch (obj.type) {
           case "bold":
             return `${sB}**${content}**${sA}`;
-          case "italic":
-            return `${sB}_${content}_${sA}`;
+          case "italic": {
+            const marker = styleOf(obj, "emphasis", context);
+            return `${sB}${marker}${content}${marker}${sA}`;
+          }
           case "code":
             return `${sB}\`${content}\`${sA}`;
           case "inserted":
@@ -200,6 +279,12 @@ const RULES = [
             return `${sB}~~${content}~~${sA}`;
           case "underlined":
             return `${sB}__${content}__${sA}`;
+          case "subscript":
+            return `${sB}<sub>${content}</sub>${sA}`;
+          case "superscript":
+            return `${sB}<sup>${content}</sup>${sA}`;
+          case "highlighted":
+            return `${sB}<mark>${content}</mark>${sA}`;
         }
         return;
       }
@@ -207,8 +292,10 @@ const RULES = [
       switch (obj.type) {
         case "bold":
           return `**${children}**`;
-        case "italic":
-          return `_${children}_`;
+        case "italic": {
+          const marker = styleOf(obj, "emphasis", context);
+          return `${marker}${children}${marker}`;
+        }
         case "code":
           return `\`${children}\``;
         case "inserted":
@@ -217,11 +304,313 @@ const RULES = [
           return `~~${children}~~`;
         case "underlined":
           return `__${children}__`;
+        case "subscript":
+          return `<sub>${children}</sub>`;
+        case "superscript":
+          return `<sup>${children}</sup>`;
+        case "highlighted":
+          return `<mark>${children}</mark>`;
       }
     }
   }
 ];
 
+/**
+ * Numeric footnote labels are renumbered in order of first appearance so that
+ * the output is stable however the footnotes were added.
+ *
+ * @param {String} label
+ * @param {Object} context
+ * @return {String}
+ */
+
+function footnoteLabel(label, context) {
+  label = `${label}`;
+  if (!/^\d+$/.test(label)) return label;
+
+  const { footnotes } = context;
+  if (!footnotes[label]) {
+    footnotes[label] = `${Object.keys(footnotes).length + 1}`;
+  }
+  return footnotes[label];
+}
+
+/**
+ * The markdown style to write `obj` with, as kept on its data when parsing
+ * with `preserveStyle`, set by the serializer option of the same name or
+ * else the default.
+ *
+ * @param {Node|Mark} obj
+ * @param {String} name
+ * @param {Object} context
+ * @return {String}
+ */
+
+function styleOf(obj, name, context) {
+  const key = name === "emphasis" ? "marker" : name;
+  return (
+    obj.getIn(["data", key]) || context.options[name] || DEFAULT_STYLE[name]
+  );
+}
+
+/**
+ * Write a heading in the style kept on its data or chosen by the
+ * `setextHeadings` and `closeHeadings` options. Headings below the first
+ * level are preceded by a blank line.
+ *
+ * @param {Block} obj
+ * @param {String} children
+ * @param {Object} context
+ * @return {String}
+ */
+
+function heading(obj, children, context) {
+  const { options } = context;
+  const level = parseInt(obj.type.slice(-1), 10);
+  const before = level === 1 ? "" : "\n";
+  const setext = obj.getIn(["data", "setext"]) || options.setextHeadings;
+
+  // only the first two levels can be underlined, and only when not empty
+  if (setext && level <= 2 && children.trim()) {
+    const underline = (level === 1 ? "=" : "-").repeat(
+      Math.max(3, children.length)
+    );
+    return `${before}${children}\n${underline}\n`;
+  }
+
+  const hashes = "#".repeat(level);
+  const closed = obj.getIn(["data", "closed"]) || options.closeHeadings;
+  return `${before}${hashes} ${children}${closed ? ` ${hashes}` : ""}\n`;
+}
+
+/**
+ * The markdown for a new line within the text being serialized, a hard line
+ * break in the chosen `lineBreak` style. Table cells write their lines as is,
+ * as they are joined by `<br>`.
+ *
+ * @param {Document} document
+ * @param {Object} context
+ * @return {String}
+ */
+
+function lineBreak(document, context) {
+  const { currentText, options } = context;
+  if (
+    currentText &&
+    document.getClosest(currentText.key, n => n.type === "table-cell")
+  ) {
+    return "\n";
+  }
+
+  return options.lineBreak === "backslash" ? "\\\n" : "  \n";
+}
+
+/**
+ * Serialize the `rows` of a table with its columns padded to the same width,
+ * the delimiter row follows the alignment of the cells in the first row.
+ *
+ * @param {Array} rows of cells, each holding its `text` and `align`
+ * @return {String}
+ */
+
+function prettyTable(rows) {
+  const widths = [];
+
+  rows.forEach(cells => {
+    cells.forEach((cell, index) => {
+      widths[index] = Math.max(widths[index] || 3, stringWidth(cell.text));
+    });
+  });
+
+  const line = cells => `| ${cells.join(" | ")} |`;
+  const pad = (cell, index) => {
+    const space = widths[index] - stringWidth(cell.text);
+
+    switch (cell.align) {
+      case "right":
+        return " ".repeat(space) + cell.text;
+      case "center": {
+        const before = Math.floor(space / 2);
+        return " ".repeat(before) + cell.text + " ".repeat(space - before);
+      }
+      default:
+        return cell.text + " ".repeat(space);
+    }
+  };
+  const delimiter = (cell, index) => {
+    const width = widths[index];
+
+    switch (cell.align) {
+      case "left":
+        return `:${"-".repeat(width - 1)}`;
+      case "center":
+        return `:${"-".repeat(width - 2)}:`;
+      case "right":
+        return `${"-".repeat(width - 1)}:`;
+      default:
+        return "-".repeat(width);
+    }
+  };
+
+  const [header = [], ...body] = rows;
+  return [
+    line(header.map(pad)),
+    line(header.map(delimiter)),
+    ...body.map(cells => line(cells.map(pad)))
+  ].join("\n");
+}
+
+/**
+ * Whether the items of a `list` are separated by blank lines.
+ *
+ * @param {Block} list
+ * @return {Boolean}
+ */
+
+function isLoose(list) {
+  return !!list && !!list.getIn(["data", "loose"]);
+}
+
+function isList(node) {
+  return ["todo-list", "bulleted-list", "ordered-list"].includes(node.type);
+}
+
+/**
+ * The number written for a list item of an ordered list, following the
+ * `listNumbering` option.
+ *
+ * @param {Block} obj
+ * @param {Block} list
+ * @param {Object} context
+ * @return {Number}
+ */
+
+function orderedListNumber(obj, list, context) {
+  const index = list.nodes.indexOf(obj);
+
+  switch (context.options.listNumbering) {
+    case "increment":
+      return index + 1;
+    case "preserve":
+      return (list.getIn(["data", "start"]) || 1) + index;
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Whether a link can be written in the compact `<href>` form, which is only
+ * possible when its text is the absolute url (or email address) unchanged.
+ *
+ * @param {Inline} obj
+ * @return {Boolean}
+ */
+
+function isAutolink(obj) {
+  const href = obj.getIn(["data", "href"]) || "";
+  if (!/^[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*$/.test(href)) return false;
+  if (obj.getMarks().size) return false;
+
+  return obj.text === href || `mailto:${obj.text}` === href;
+}
+
+/**
+ * Write a link using its reference `label`, recording the definition so it
+ * can be output at the end of the document.
+ *
+ * @param {Inline} obj
+ * @param {String} text
+ * @param {String} label
+ * @param {Object} context
+ * @return {String}
+ */
+
+function referenceLink(obj, text, label, context) {
+  const key = label.toLowerCase();
+  if (!context.linkDefinitions.has(key)) {
+    context.linkDefinitions.set(key, {
+      label,
+      href: obj.getIn(["data", "href"]),
+      title: obj.getIn(["data", "title"])
+    });
+  }
+
+  // the shorter forms can only be used while the text still matches the label
+  if (obj.text.toLowerCase() === label.toLowerCase()) {
+    switch (obj.getIn(["data", "reference"])) {
+      case "shortcut":
+        return `[${text}]`;
+      case "collapsed":
+        return `[${text}][]`;
+    }
+  }
+  return `[${text}][${label}]`;
+}
+
+/**
+ * Find where `text`, the markdown written for a node, ended up in `output`
+ * between `from` and `to`. Parents may prefix the lines of their children,
+ * so text spanning lines is matched by its first and last lines.
+ *
+ * @param {String} output
+ * @param {String} text
+ * @param {Number} from
+ * @param {Number} to
+ * @return {Object} range
+ */
+
+function findOutput(output, text, from, to) {
+  if (typeof text !== "string") return;
+
+  const lines = text.replace(/^\n+|\n+$/g, "").split("\n");
+  const first = lines[0];
+  const last = lines[lines.length - 1];
+
+  const start = output.indexOf(first, from);
+  if (start === -1 || start + first.length > to) return;
+
+  let end = start + first.length;
+  if (lines.length > 1) {
+    const index = output.indexOf(last, end);
+    if (index === -1) return;
+    end = index + last.length;
+  }
+
+  if (end > to) return;
+  return { start, end };
+}
+
+/**
+ * Write html attributes holding the type and data of a node or mark that no
+ * rule serializes.
+ *
+ * @param {Node|Mark} obj
+ * @return {String}
+ */
+
+function htmlAttributes(obj) {
+  const name = obj.object === "mark" ? "data-slate-mark" : "data-slate-type";
+  let attributes = ` ${name}="${escapeHtml(obj.type)}"`;
+
+  if (obj.data && obj.data.size) {
+    attributes += ` data-slate-data="${escapeHtml(JSON.stringify(obj.data.toJS()))}"`;
+  }
+  return attributes;
+}
+
+// `serialize` returns an object when asked for warnings or a source map
+function markdownOf(output) {
+  return typeof output === "string" ? output : output.markdown;
+}
+
+function escapeHtml(text) {
+  return `${text}`
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
 /**
  * Markdown serializer.
  *
@@ -234,11 +623,13 @@ class Markdown {
    *
    * @param {Object} options
    * @property {Array} rules
+   * @property {Array} extensions tokenizers that add syntax to the parser
    * @return {Markdown} serializer
    */
 
   constructor(options = {}) {
     this.rules = [...(options.rules || []), ...RULES];
+    this.extensions = options.extensions || [];
 
     this.serializeNode = this.serializeNode.bind(this);
     this.serializeLeaves = this.serializeLeaves.bind(this);
@@ -250,18 +641,15 @@ class Markdown {
    *
    * @param {State} state
    * @param {Object} options
-   * @return {String} markdown
+   * @return {String|Object} markdown, or `{ markdown, sourceMap, warnings }`
    */
 
   serialize(state, options = {}) {
-    // reset state in module context
-    version = options.version || 1;
-    currentBlock = undefined;
-    previousBlock = undefined;
-
-    const { document } = state;
+    const document = documentOf(state);
+    const context = this.createContext(document, options);
+    const { version } = context;
     const elements = document.nodes.map(node =>
-      this.serializeNode(node, document)
+      this.serializeNode(node, document, context)
     );
 
     let output = elements.join("\n");
@@ -269,12 +657,19 @@ class Markdown {
     // trim beginning whitespace
     output = output.replace(/^\s+/g, "");
 
+    if (options.referenceLinks) {
+      const definitions = this.serializeDefinitions(document, context);
+      if (definitions) {
+        output = `${output.replace(/\s+$/, "")}\n\n${definitions}`;
+      }
+    }
+
     // fix marks adjacent to marks. This is a quirk in the old editor where a
     // mark crossing \ character boundaries would be stopped and started
     // again. The v2 editor respects Markdown standard and does not interpret
     // these as a mark followed by another mark, and so they must be stripped.
     if (version === 2) {
-      return output
+      output = output
         .replace(/\*\*\*\*/g, "")
         .replace(/\+\+\+\+/g, "")
         .replace(/~~~~/g, "")
@@ -283,48 +678,327 @@ class Markdown {
         .replace(/__\\/g, "\\");
     }
 
-    return output;
+    if (options.frontMatter) {
+      const frontMatter = this.serializeFrontMatter(document);
+      if (frontMatter) output = `${frontMatter}\n${output}`;
+    }
+
+    if (!options.sourceMap && options.onUnknown !== "warn") {
+      return output;
+    }
+
+    const result = { markdown: output };
+    if (options.sourceMap) {
+      result.sourceMap = this.createSourceMap(document, output, context);
+    }
+    if (options.onUnknown === "warn") {
+      result.warnings = context.warnings;
+    }
+    return result;
+  }
+
+  /**
+   * Map the keys of the blocks and inlines in `document` to the range of
+   * `output` they were written to. Nodes that cannot be found, for example
+   * because a version 2 fix rewrote their markdown, are left out.
+   *
+   * @param {Document} document
+   * @param {String} output
+   * @param {Object} context
+   * @return {Object} sourceMap
+   */
+
+  createSourceMap(document, output, context) {
+    const locate = createLocator(output);
+    const sourceMap = {};
+
+    const visit = (nodes, from, to) => {
+      let cursor = from;
+
+      nodes.forEach(node => {
+        if (node.object === "text") return;
+
+        const range = findOutput(
+          output,
+          context.serialized.get(node.key),
+          cursor,
+          to
+        );
+        if (!range) return;
+
+        sourceMap[node.key] = {
+          start: locate(range.start),
+          end: locate(range.end)
+        };
+        cursor = range.end;
+        visit(node.nodes, range.start, range.end);
+      });
+    };
+
+    visit(document.nodes, 0, output.length);
+    return sourceMap;
   }
 
   /**
-   * Serialize a `node`.
+   * Serialize `document.data` as YAML front matter, leaving out the keys
+   * used by the serializer itself.
+   *
+   * @param {Document} document
+   * @return {String}
+   */
+
+  serializeFrontMatter(document) {
+    const data = document.data.toJS();
+    RESERVED_DATA_KEYS.forEach(key => delete data[key]);
+
+    if (!Object.keys(data).length) return "";
+    return `---\n${yaml.safeDump(data, {
+      schema: yaml.CORE_SCHEMA,
+      lineWidth: -1
+    })}---\n`;
+  }
+
+  /**
+   * Serialize the link definitions used by reference links, along with any
+   * unused definitions kept from the original markdown.
+   *
+   * @param {Document} document
+   * @param {Object} context
+   * @return {String}
+   */
+
+  serializeDefinitions(document, context) {
+    const definitions = new Map();
+    const stored = document.data.get("linkDefinitions");
+
+    if (stored) {
+      // data may hold plain objects or immutable structures
+      (stored.toJS ? stored.toJS() : stored).forEach(definition => {
+        definitions.set(definition.label.toLowerCase(), definition);
+      });
+    }
+    context.linkDefinitions.forEach((definition, key) => {
+      // links may have been edited since the definition was parsed
+      const existing = definitions.get(key);
+      definitions.set(key, {
+        ...definition,
+        label: existing ? existing.label : definition.label
+      });
+    });
+
+    return Array.from(definitions.values())
+      .map(({ label, href, title }) => {
+        const definition = `[${label}]: ${encode(href || "")}`;
+        return title ? `${definition} "${title}"` : definition;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Create the state shared by all rules during a single call to
+   * `serialize`. Keeping it per-call, rather than in module scope, allows
+   * rules to call `serialize` recursively.
+   *
+   * @param {Document} document
+   * @param {Object} options
+   * @return {Object} context
+   */
+
+  createContext(document, options = {}) {
+    return {
+      document,
+      options,
+      version: options.version || 1,
+      previousBlock: undefined,
+      currentBlock: undefined,
+      currentText: undefined,
+      tableHeader: "",
+      firstRow: true,
+      // the cells of the current table, kept to align its columns
+      tableRows: [],
+      tableCells: [],
+      footnotes: {},
+      linkDefinitions: new Map(),
+      warnings: [],
+      // the markdown written for each node key, kept for source maps
+      serialized: options.sourceMap ? new Map() : undefined
+    };
+  }
+
+  /**
+   * Serialize a `node`. Without a `context`, as when called on its own, the
+   * node is serialized with the default options.
    *
    * @param {Node} node
+   * @param {Document} document
+   * @param {Object} context
    * @return {String}
    */
 
-  serializeNode(node, document) {
+  serializeNode(node, document, context = this.createContext(document)) {
     if (node.object == "text") {
-      const leaves = node.getLeaves();
-      const inCodeBlock = !!document.getClosest(
-        node.key,
-        n => n.type === "code"
+      const leaves = leavesOf(node);
+      context.currentText = node;
+      const inCodeBlock = !!document.getClosest(node.key, n =>
+        UNESCAPED_TYPES.includes(n.type)
       );
 
       return leaves.map(leave => {
         const inCodeMark = !!leave.marks.filter(mark => mark.type === "code")
           .size;
-        return this.serializeLeaves(leave, !inCodeBlock && !inCodeMark);
+        return this.serializeLeaves(
+          leave,
+          !inCodeBlock && !inCodeMark,
+          document,
+          context
+        );
       });
     }
 
     const children = node.nodes
-      .map(childNode => {
-        const serialized = this.serializeNode(childNode, document);
-        return (
+      .map((childNode, index) => {
+        const serialized = this.serializeNode(childNode, document, context);
+        const text =
           (serialized && serialized.join ? serialized.join("") : serialized) ||
-          ""
-        );
+          "";
+
+        return index
+          ? `${this.childSeparator(node, document, childNode)}${text}`
+          : text;
       })
-      .join(
-        // Special case for blockquotes, children in blockquotes are separated by new lines
-        node.type === "block-quote" ? "\n" : ""
-      );
+      .join("");
+
+    if (node.object === "block") {
+      if (context.currentBlock) {
+        context.previousBlock = context.currentBlock;
+      }
+      context.currentBlock = { obj: node, children };
+    }
+
+    let ret = this.serializeWithRules(node, children, document, context);
+    if (ret === undefined) {
+      ret = this.serializeUnknown(node, children, document, context);
+    }
+
+    if (ret && context.serialized) context.serialized.set(node.key, ret);
+    return ret;
+  }
+
+  /**
+   * Serialize `obj` with the first rule that returns a string for it. A rule
+   * returning an empty string lets later rules try, but still counts as
+   * having handled `obj`.
+   *
+   * @param {Node|Mark|String} obj
+   * @param {String} children
+   * @param {Document} document
+   * @param {Object} context
+   * @return {String|Void}
+   */
+
+  serializeWithRules(obj, children, document, context) {
+    let handled = false;
 
     for (const rule of this.rules) {
       if (!rule.serialize) continue;
-      const ret = rule.serialize(node, children, document);
+      const ret = rule.serialize(obj, children, document, context);
       if (ret) return ret;
+      if (ret === "") handled = true;
+    }
+
+    if (handled) return "";
+  }
+
+  /**
+   * Serialize a node or mark that no rule handles, as set by the `onUnknown`
+   * option. By default it is left out of the markdown.
+   *
+   * @param {Node|Mark} obj
+   * @param {String} children
+   * @param {Document} document
+   * @param {Object} context
+   * @return {String|Void}
+   */
+
+  serializeUnknown(obj, children = "", document, context) {
+    const { onUnknown } = context.options;
+    if (!onUnknown) return;
+
+    // marks are found through the text they are applied to
+    const node = obj.object === "mark" ? context.currentText : obj;
+    const path = document.getPath(node.key).toArray();
+
+    switch (onUnknown) {
+      case "throw": {
+        const location = `[${path.join(", ")}]`;
+        const error = new Error(
+          `No rule serializes the ${obj.object} "${obj.type}" at path ${location}`
+        );
+        error.key = node.key;
+        error.path = path;
+        throw error;
+      }
+      case "warn":
+        context.warnings.push({
+          object: obj.object,
+          type: obj.type,
+          key: node.key,
+          path
+        });
+        return children;
+      case "children":
+        return children;
+      case "comment": {
+        const data = obj.data && obj.data.size
+          ? ` ${JSON.stringify(obj.data.toJS())}`
+          : "";
+        const separator = obj.object === "block" ? "\n" : "";
+        const open = `<!-- ${obj.type}${data} -->`;
+        const close = `<!-- /${obj.type} -->`;
+        return `${open}${separator}${children}${separator}${close}`;
+      }
+      case "html":
+        if (obj.object === "block") {
+          return `<div${htmlAttributes(obj)}>\n\n${children}\n\n</div>`;
+        }
+        return `<span${htmlAttributes(obj)}>${children}</span>`;
+    }
+  }
+
+  /**
+   * The string placed before each serialized `child` of a `node` but the
+   * first.
+   *
+   * @param {Node} node
+   * @param {Document} document
+   * @param {Node} child
+   * @return {String}
+   */
+
+  childSeparator(node, document, child) {
+    switch (node.type) {
+      // children in blockquotes are separated by new lines
+      case "block-quote":
+        return "\n";
+      // items of loose lists, and the paragraphs within them, are separated
+      // by blank lines
+      case "todo-list":
+      case "bulleted-list":
+      case "ordered-list":
+        return isLoose(node) ? "\n" : "";
+      case "list-item":
+        return isLoose(document.getParent(node.key)) && !isList(child)
+          ? "\n\n"
+          : "\n";
+      // blocks in table cells are written on lines of their own, which
+      // become line breaks
+      case "table-cell":
+        return "\n";
+      // paragraphs in footnotes are separated by blank lines
+      case "footnote":
+        return "\n\n";
+      default:
+        return "";
     }
   }
 
@@ -332,24 +1006,39 @@ class Markdown {
    * Serialize `leaves`.
    *
    * @param {Leave[]} leaves
+   * @param {Boolean} escape
+   * @param {Document} document
+   * @param {Object} context
    * @return {String}
    */
 
-  serializeLeaves(leaves, escape = true) {
+  serializeLeaves(
+    leaves,
+    escape = true,
+    document,
+    context = this.createContext(document)
+  ) {
     let leavesText = leaves.text;
     if (escape) {
       // escape markdown characters
       leavesText = escapeMarkdownChars(leavesText);
+
+      // dollars would otherwise be read back as math
+      if (context.options.math) {
+        leavesText = leavesText.replace(/\$/g, "\\$");
+      }
+
+      if (leavesText.includes("\n")) {
+        leavesText = leavesText.replace(/\n/g, lineBreak(document, context));
+      }
     }
     const string = new String({ text: leavesText });
-    const text = this.serializeString(string);
+    const text = this.serializeString(string, document, context);
 
     return leaves.marks.reduce((children, mark) => {
-      for (const rule of this.rules) {
-        if (!rule.serialize) continue;
-        const ret = rule.serialize(mark, children);
-        if (ret) return ret;
-      }
+      const ret = this.serializeWithRules(mark, children, document, context);
+      if (ret !== undefined) return ret;
+      return this.serializeUnknown(mark, children, document, context);
     }, text);
   }
 
@@ -357,27 +1046,121 @@ class Markdown {
    * Serialize a `string`.
    *
    * @param {String} string
+   * @param {Document} document
+   * @param {Object} context
    * @return {String}
    */
 
-  serializeString(string) {
-    for (const rule of this.rules) {
-      if (!rule.serialize) continue;
-      const ret = rule.serialize(string, string.text);
-      if (ret) return ret;
+  serializeString(string, document, context = this.createContext(document)) {
+    return this.serializeWithRules(string, string.text, document, context);
+  }
+
+  /**
+   * Deserialize a markdown `string` into a value of the Slate data model
+   * chosen by `options.model`, see `src/models.js`.
+   *
+   * @param {String} markdown
+   * @param {Object} options
+   * @return {State|Array} state, or the nodes of a plain value
+   */
+  deserialize(markdown, options = {}) {
+    const document = parser.parse(markdown, {
+      ...options,
+      rules: this.rules,
+      extensions: this.extensions
+    });
+
+    switch (options.model) {
+      case "marks":
+        return Value.fromJSON({ document: toMarksJSON(document) });
+      case "plain":
+        return toPlain(document).children;
+      default:
+        return Value.fromJSON({ document });
     }
   }
 
   /**
-   * Deserialize a markdown `string`.
+   * Deserialize `markdown` after an `edit` replaced the text between its
+   * `start` and `end` offsets with its `text`, given the `value` previously
+   * deserialized from it. Only the top-level blocks around the edit are
+   * parsed again, the other blocks keep their keys. The whole document is
+   * parsed again when the edit could change more than the blocks around it.
+   *
+   * Source positions are always recorded, as they are needed to find the
+   * blocks to parse on the next edit. Plain values have no keys to keep, so
+   * with the `"plain"` model the whole document is parsed again.
    *
+   * @param {State} value
    * @param {String} markdown
-   * @return {State} state
+   * @param {Object} edit
+   * @param {Object} options
+   * @return {State}
    */
-  deserialize(markdown) {
-    const document = parser.parse(markdown);
-    return Value.fromJSON({ document });
+
+  reparse(value, markdown, edit, options = {}) {
+    options = { ...options, sourcePositions: options.sourcePositions || true };
+    const { document } = value;
+    const text = applyEdit(markdown, edit);
+    const window =
+      !options.collectFootnotes &&
+      options.model !== "plain" &&
+      findWindow(document, markdown, edit);
+    if (!window) return this.deserialize(text, options);
+
+    const parsed = this.deserialize(window.text, options).document;
+    const nodes = spliceWindow(document, window, parsed.nodes);
+    if (!nodes) return this.deserialize(text, options);
+
+    // front matter is parsed again when the window starts the document
+    const data = window.offset === 0 ? parsed.data : document.data;
+    return value.set("document", document.merge({ nodes, data }));
+  }
+
+  /**
+   * Check whether `value` survives being saved as markdown and read back,
+   * returning the differences between it and the value read back. The
+   * `options` are passed to both `serialize` and `deserialize`.
+   *
+   * @param {State} value
+   * @param {Object} options
+   * @return {Array} differences
+   */
+
+  verify(value, options = {}) {
+    options = { ...options, sourceMap: false, sourcePositions: false };
+    const markdown = markdownOf(this.serialize(value, options));
+    const result = this.deserialize(markdown, options);
+
+    return compareDocuments(documentOf(value), documentOf(result));
+  }
+
+  /**
+   * Deserialize `markdown`, then check whether the value survives being
+   * saved and read back. The differences point at nodes in the returned
+   * `value`, and `markdown` is the markdown it would be saved as.
+   *
+   * @param {String} markdown
+   * @param {Object} options
+   * @return {Object} `{ value, markdown, differences }`
+   */
+
+  roundTrip(markdown, options = {}) {
+    options = { ...options, sourceMap: false, sourcePositions: false };
+    const value = this.deserialize(markdown, options);
+    const output = markdownOf(this.serialize(value, options));
+    const result = this.deserialize(output, options);
+
+    return {
+      value,
+      markdown: output,
+      differences: compareDocuments(documentOf(value), documentOf(result))
+    };
   }
 }
 
+// thrown when deserializing markdown past the `maxLength`, `maxDepth` or
+// `maxNodes` options
+Markdown.LimitError = parser.LimitError;
+
 export default Markdown;
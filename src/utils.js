@@ -14,3 +14,65 @@ export function escapeMarkdownChars(text: string): string {
   // TODO: situationally escape these characters so we don't overescape
   return result.replace(/([`*{}\[\]()+\-!|_>])/gi, "\\$1");
 }
+
+// code points that take no column of their own: combining marks, zero width
+// spaces and joiners, and variation selectors
+const ZERO_WIDTH = [
+  [0x0300, 0x036f],
+  [0x1ab0, 0x1aff],
+  [0x1dc0, 0x1dff],
+  [0x200b, 0x200f],
+  [0x20d0, 0x20ff],
+  [0xfe00, 0xfe0f],
+  [0xfe20, 0xfe2f]
+];
+
+// code points with an east asian width of wide or fullwidth, and emoji
+const DOUBLE_WIDTH = [
+  [0x1100, 0x115f],
+  [0x2e80, 0x303e],
+  [0x3041, 0x33ff],
+  [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf],
+  [0xa960, 0xa97f],
+  [0xac00, 0xd7a3],
+  [0xf900, 0xfaff],
+  [0xfe10, 0xfe19],
+  [0xfe30, 0xfe6f],
+  [0xff00, 0xff60],
+  [0xffe0, 0xffe6],
+  [0x1f300, 0x1f64f],
+  [0x1f900, 0x1f9ff],
+  [0x20000, 0x3fffd]
+];
+
+function inRanges(ranges: Array<Array<number>>, code: number): boolean {
+  return ranges.some(([from, to]) => code >= from && code <= to);
+}
+
+// the number of columns `text` takes up in a monospaced font
+export function stringWidth(text: string): number {
+  let width = 0;
+
+  for (const char of text) {
+    const code = char.codePointAt(0);
+
+    if (inRanges(ZERO_WIDTH, code)) continue;
+    width += inRanges(DOUBLE_WIDTH, code) ? 2 : 1;
+  }
+
+  return width;
+}
+
+// `text` without the characters matching `pattern` at its end. Patterns such
+// as `/\n+$/` are tried from every character of each run in the text and take
+// quadratic time on long runs that are not at the end.
+export function trimEnd(text: string, pattern: RegExp = /\s/): string {
+  let end = text.length;
+
+  while (end && pattern.test(text.charAt(end - 1)))
+    end--;
+
+  return text.substring(0, end);
+}
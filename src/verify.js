@@ -0,0 +1,215 @@
+import { fromJS, is } from "immutable";
+import { leavesOf } from "./models";
+
+// data that is expected to differ between two parses of the same content
+const IGNORED_DATA_KEYS = ["position"];
+
+/**
+ * Structurally compare the `expected` document with the `actual` one, read
+ * back from markdown, ignoring node keys. Each difference points at a node in
+ * `expected` by its key and path, for added nodes the key is their parent's.
+ *
+ * @param {Document} expected
+ * @param {Document} actual
+ * @return {Array} differences
+ */
+
+export default function compareDocuments(expected, actual) {
+  const differences = [];
+
+  compareData(expected, actual, [], differences);
+  compareNodes(expected, actual, [], differences);
+  return differences;
+}
+
+/**
+ * Compare the children of two nodes by their position. Adjacent text nodes
+ * read the same as a single one, as the parser can split text where it
+ * unescaped a character, so they are compared as one.
+ *
+ * @param {Node} expected
+ * @param {Node} actual
+ * @param {Array} path
+ * @param {Array} differences
+ */
+
+function compareNodes(expected, actual, path, differences) {
+  const children = childrenOf(expected);
+  const others = childrenOf(actual);
+  const length = Math.max(children.length, others.length);
+
+  for (let i = 0; i < length; i++) {
+    const child = children[i];
+    const other = others[i];
+
+    if (!other) {
+      differences.push(
+        difference("removed", child.node, [...path, child.index])
+      );
+      continue;
+    }
+    if (!child) {
+      differences.push(
+        difference("added", other.node, [...path, other.index], {
+          key: expected.key
+        })
+      );
+      continue;
+    }
+
+    const { node, index } = child;
+    const nodePath = [...path, index];
+
+    if (node.object !== other.node.object || node.type !== other.node.type) {
+      differences.push(
+        difference("type", node, nodePath, {
+          actual: other.node.type || other.node.object
+        })
+      );
+    } else if (node.object === "text") {
+      compareText(child.texts, other.texts, nodePath, differences);
+    } else {
+      compareData(node, other.node, nodePath, differences);
+      compareNodes(node, other.node, nodePath, differences);
+    }
+  }
+}
+
+/**
+ * The children of `node` with their index, runs of adjacent text nodes are
+ * grouped as the `texts` of the first.
+ *
+ * @param {Node} node
+ * @return {Array}
+ */
+
+function childrenOf(node) {
+  const children = [];
+
+  node.nodes.forEach((child, index) => {
+    const last = children[children.length - 1];
+
+    if (child.object === "text" && last && last.texts) {
+      last.texts.push(child);
+    } else {
+      children.push({
+        node: child,
+        index,
+        texts: child.object === "text" ? [child] : undefined
+      });
+    }
+  });
+
+  return children;
+}
+
+/**
+ * Compare the `data` of two nodes.
+ *
+ * @param {Node} expected
+ * @param {Node} actual
+ * @param {Array} path
+ * @param {Array} differences
+ */
+
+function compareData(expected, actual, path, differences) {
+  const data = comparableData(expected);
+  const other = comparableData(actual);
+
+  if (!is(fromJS(data), fromJS(other))) {
+    differences.push(
+      difference("data", expected, path, { expected: data, actual: other })
+    );
+  }
+}
+
+/**
+ * Compare the text of two runs of text nodes and, when it is unchanged, the
+ * marks applied to each character. Differences point at the first node.
+ *
+ * @param {Array} expected
+ * @param {Array} actual
+ * @param {Array} path
+ * @param {Array} differences
+ */
+
+function compareText(expected, actual, path, differences) {
+  const text = textOf(expected);
+  const otherText = textOf(actual);
+
+  if (text !== otherText) {
+    differences.push(
+      difference("text", expected[0], path, {
+        expected: text,
+        actual: otherText
+      })
+    );
+    return;
+  }
+
+  const marks = characterMarks(expected);
+  const otherMarks = characterMarks(actual);
+  const lost = new Set();
+  const added = new Set();
+
+  marks.forEach((types, index) => {
+    types.forEach(type => {
+      if (!otherMarks[index].includes(type)) lost.add(type);
+    });
+    otherMarks[index].forEach(type => {
+      if (!types.includes(type)) added.add(type);
+    });
+  });
+
+  if (lost.size || added.size) {
+    differences.push(
+      difference("marks", expected[0], path, {
+        lost: Array.from(lost),
+        added: Array.from(added)
+      })
+    );
+  }
+}
+
+function textOf(nodes) {
+  return nodes.map(node => node.text).join("");
+}
+
+/**
+ * The mark types applied to each character of a run of text nodes.
+ *
+ * @param {Array} nodes
+ * @return {Array}
+ */
+
+function characterMarks(nodes) {
+  const marks = [];
+
+  nodes.forEach(node => {
+    leavesOf(node).forEach(leaf => {
+      const types = leaf.marks.map(mark => mark.type).toArray();
+      for (let i = 0; i < leaf.text.length; i++)
+        marks.push(types);
+    });
+  });
+
+  return marks;
+}
+
+function comparableData(node) {
+  if (!node.data) return {};
+
+  const data = node.data.toJS();
+  IGNORED_DATA_KEYS.forEach(key => delete data[key]);
+  return data;
+}
+
+function difference(kind, node, path, details) {
+  return {
+    kind,
+    key: node.key,
+    type: node.type || node.object,
+    path,
+    ...details
+  };
+}